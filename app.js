@@ -10,6 +10,10 @@ const { auditLogMiddleware } = require('./src/middleware/auditLog');
 
 const app = express();
 
+// Behind Railway's proxy req.ip must come from X-Forwarded-For (used for per-IP rate limits).
+// TRUST_PROXY is the number of proxy hops in front of the app (default 1, 0 when exposed directly)
+app.set('trust proxy', process.env.TRUST_PROXY !== undefined ? Number(process.env.TRUST_PROXY) || 0 : 1);
+
 // Middleware
 // Configure Helmet to work with CORS (especially for Chrome extensions)
 app.use(helmet({
@@ -79,10 +83,16 @@ app.use(cors({
     'x-api-key',
     'X-API-Key',
     'X-Requested-With',
+    'X-Timezone',
     'Accept',
     'Origin'
   ],
-  exposedHeaders: ['x-api-key', 'X-API-Key'],
+  exposedHeaders: [
+    'x-api-key', 'X-API-Key', 'Retry-After',
+    'X-Quota-Plan', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Monthly-Remaining',
+    'X-Quota-Bonus-Remaining', 'X-Quota-Cost', 'X-Quota-Reset',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'
+  ],
   preflightContinue: false,
   optionsSuccessStatus: 204
 }));
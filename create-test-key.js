@@ -1,5 +1,6 @@
 // create-test-key.js
 const prisma = require('./src/utils/prismaClient');
+const { generateApiKey } = require('./src/utils/apiKeys');
 
 async function createTestData() {
   try {
@@ -12,10 +13,12 @@ async function createTestData() {
       }
     });
 
-    // Create an API key for the user
-    const apiKey = await prisma.apiKey.create({
+    // Create an API key for the user (only the hash is stored, the key is shown once here)
+    const { key, keyHash, keyPrefix } = generateApiKey();
+    await prisma.apiKey.create({
       data: {
-        key: 'test_key_' + Math.random().toString(36).substr(2, 16),
+        keyHash,
+        keyPrefix,
         name: 'Test API Key',
         userId: user.id,
         isActive: true
@@ -23,9 +26,9 @@ async function createTestData() {
     });
 
     console.log('✅ Test user created:', user.email);
-    console.log('✅ API Key created:', apiKey.key);
-    console.log('\nUse this API key in your headers:');
-    console.log('x-api-key:', apiKey.key);
+    console.log('✅ API Key created:', key);
+    console.log('\nUse this API key in your headers (it cannot be shown again):');
+    console.log('x-api-key:', key);
     
   } catch (error) {
     console.error('Error:', error);
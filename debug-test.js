@@ -1,26 +1,24 @@
 // debug-test.js
-const prisma = require('./src/utils/prismaClient');
+// API keys are stored hashed, so the key to test with must be passed in
+// Usage: node debug-test.js <api-key>   (or TEST_API_KEY=<api-key> node debug-test.js)
 
 async function debugApi() {
   try {
-    const apiKey = await prisma.apiKey.findFirst({
-      where: { isActive: true },
-      include: { user: true }
-    });
+    const apiKey = process.argv[2] || process.env.TEST_API_KEY;
 
     if (!apiKey) {
-      console.log('❌ No active API keys found.');
+      console.log('❌ No API key provided. Create one with: node create-test-key.js');
       return;
     }
 
-    console.log('🔑 Testing with API key:', apiKey.key);
+    console.log('🔑 Testing with API key:', apiKey.substring(0, 12) + '...');
     
     // Test and see the raw response
     const response = await fetch('http://localhost:3000/api/auth/validate', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'x-api-key': apiKey.key
+        'x-api-key': apiKey
       },
       body: JSON.stringify({})
     });
@@ -1,7 +1,16 @@
 const app = require('./app');
+const { flushLastUsed } = require('./src/utils/authCache');
 const port = process.env.PORT || 8000;
 
 
 app.listen(port, () => {
   console.log(`Resume generator server running at http://localhost:${port}`);
 });
+
+// Write batched API key lastUsedAt updates before the process exits
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    await flushLastUsed();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,255 @@
+// src/controllers/apiKeys.js
+const prisma = require('../utils/prismaClient');
+const { AppError, ERROR_CODES, ValidationError, NotFoundError, asyncHandler } = require('../utils/errors');
+const { API_KEY_SCOPES, FULL_ACCESS_SCOPE, hasScope, generateApiKey, getKeyPrefix } = require('../utils/apiKeys');
+const { invalidateApiKey } = require('../utils/authCache');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_ACTIVE_KEYS = 10;
+const DEFAULT_GRACE_HOURS = 24;
+const MAX_GRACE_HOURS = 7 * 24;
+const MAX_EXPIRY_DAYS = 365;
+
+// Never includes the key itself; legacy plaintext keys only expose their prefix
+function formatApiKey(record, currentKeyId) {
+  const expired = !!record.expiresAt && record.expiresAt <= new Date();
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.keyPrefix || (record.key ? getKeyPrefix(record.key) : null),
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt,
+    expiresAt: record.expiresAt,
+    replacedById: record.replacedById,
+    scopes: record.scopes,
+    active: record.isActive && !record.deletedAt && !expired,
+    current: record.id === currentKeyId
+  };
+}
+
+function parseName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new ValidationError('name is required');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`name cannot exceed ${MAX_NAME_LENGTH} characters`);
+  }
+  return name.trim();
+}
+
+// A key can only hand out scopes it has itself; only full-access keys can grant '*'
+function assertCanGrantScopes(scopes, creatorScopes) {
+  const notGranted = scopes.filter(scope => scope === FULL_ACCESS_SCOPE
+    ? !creatorScopes.includes(FULL_ACCESS_SCOPE)
+    : !hasScope(creatorScopes, scope));
+  if (notGranted.length) {
+    throw new AppError(ERROR_CODES.FORBIDDEN, `This API key cannot grant scopes it does not have: ${notGranted.join(', ')}`, 403);
+  }
+}
+
+/**
+ * Scopes for a new key. Defaults to the creating key's scopes; a key can't grant scopes it doesn't have.
+ */
+function parseScopes(value, creatorScopes) {
+  if (value === undefined || value === null) {
+    return creatorScopes;
+  }
+  if (!Array.isArray(value) || value.length === 0 || value.some(scope => typeof scope !== 'string')) {
+    throw new ValidationError('scopes must be a non-empty array of scope names');
+  }
+
+  const scopes = [...new Set(value.map(scope => scope.trim()))];
+  const unknown = scopes.filter(scope => scope !== FULL_ACCESS_SCOPE && !API_KEY_SCOPES[scope]);
+  if (unknown.length) {
+    throw new ValidationError(`Unknown scopes: ${unknown.join(', ')}`, { scopes: Object.keys(API_KEY_SCOPES) });
+  }
+
+  assertCanGrantScopes(scopes, creatorScopes);
+  return scopes.includes(FULL_ACCESS_SCOPE) ? [FULL_ACCESS_SCOPE] : scopes;
+}
+
+function parseKeyExpiry(body) {
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const expiresAt = new Date(body.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw new ValidationError('expiresAt must be a valid date in the future');
+    }
+    return expiresAt;
+  }
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw new ValidationError(`expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}`);
+    }
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+  return null;
+}
+
+function parseGraceHours(value) {
+  if (value === undefined || value === null) {
+    return DEFAULT_GRACE_HOURS;
+  }
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0 || hours > MAX_GRACE_HOURS) {
+    throw new ValidationError(`gracePeriodHours must be a number between 0 and ${MAX_GRACE_HOURS}`);
+  }
+  return hours;
+}
+
+// Keys that can still authenticate
+function usableKeyWhere(userId) {
+  return {
+    userId,
+    isActive: true,
+    deletedAt: null,
+    OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+  };
+}
+
+async function findUsableKeyOrThrow(userId, id) {
+  const record = await prisma.apiKey.findFirst({
+    where: { id, ...usableKeyWhere(userId) }
+  });
+  if (!record) {
+    throw new NotFoundError('API key not found');
+  }
+  return record;
+}
+
+// List the scopes a key can be given
+const listApiKeyScopes = asyncHandler(async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    result: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description })),
+    fullAccessScope: FULL_ACCESS_SCOPE
+  });
+});
+
+// List the authenticated user's API keys
+const listApiKeys = asyncHandler(async (req, res) => {
+  const keys = await prisma.apiKey.findMany({
+    where: { userId: req.user.id, deletedAt: null },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return res.status(200).json({
+    success: true,
+    result: keys.map(record => formatApiKey(record, req.apiKey?.id))
+  });
+});
+
+/**
+ * Create a named API key. The key is only returned in this response.
+ * Body: { name, scopes?, expiresAt? | expiresInDays? }
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const body = req.body || {};
+  const name = parseName(body.name);
+  // Firebase token sessions (no API key) may grant any scope
+  const scopes = parseScopes(body.scopes, req.apiKey ? req.apiKey.scopes : [FULL_ACCESS_SCOPE]);
+  const expiresAt = parseKeyExpiry(body);
+
+  const activeCount = await prisma.apiKey.count({ where: usableKeyWhere(userId) });
+  if (activeCount >= MAX_ACTIVE_KEYS) {
+    throw new ValidationError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one before creating another.`);
+  }
+
+  const { key, keyHash, keyPrefix } = generateApiKey();
+  const record = await prisma.apiKey.create({
+    data: { userId, name, keyHash, keyPrefix, scopes, expiresAt }
+  });
+
+  console.log(`[API_KEYS] Created API key ${record.id} (${keyPrefix}...) for user: ${userId} with scopes: ${scopes.join(', ')}`);
+
+  return res.status(201).json({
+    success: true,
+    result: { ...formatApiKey(record, req.apiKey?.id), key },
+    message: 'API key created. Copy it now - it will not be shown again.'
+  });
+});
+
+/**
+ * Rotate an API key: issue a replacement and keep the old key working for a grace period
+ * The replacement keeps the old key's name, scopes and expiry.
+ * Body: { gracePeriodHours } (default 24, 0 ends the old key immediately)
+ */
+const rotateApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const graceHours = parseGraceHours(req.body?.gracePeriodHours);
+  const oldKey = await findUsableKeyOrThrow(userId, req.params.id);
+
+  if (oldKey.replacedById) {
+    throw new ValidationError('API key has already been rotated');
+  }
+  // The new secret carries the old key's scopes, so the caller must hold all of them
+  if (req.apiKey) {
+    assertCanGrantScopes(oldKey.scopes, req.apiKey.scopes);
+  }
+
+  const graceEnd = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+  // A rotation never extends a key that was already due to expire sooner
+  const oldExpiresAt = oldKey.expiresAt && oldKey.expiresAt < graceEnd ? oldKey.expiresAt : graceEnd;
+
+  const { key, keyHash, keyPrefix } = generateApiKey();
+  const [newKey, updatedOldKey] = await prisma.$transaction(async (tx) => {
+    const created = await tx.apiKey.create({
+      data: { userId, name: oldKey.name, keyHash, keyPrefix, scopes: oldKey.scopes, expiresAt: oldKey.expiresAt }
+    });
+    // Conditional update so two concurrent rotations can't both replace the same key
+    const { count } = await tx.apiKey.updateMany({
+      where: { id: oldKey.id, replacedById: null },
+      data: { expiresAt: oldExpiresAt, replacedById: created.id }
+    });
+    if (count !== 1) {
+      throw new ValidationError('API key has already been rotated');
+    }
+    return [created, { ...oldKey, expiresAt: oldExpiresAt, replacedById: created.id }];
+  });
+  invalidateApiKey(oldKey.id);
+
+  console.log(`[API_KEYS] Rotated API key ${oldKey.id} -> ${newKey.id} for user: ${userId} (old key valid until ${oldExpiresAt.toISOString()})`);
+
+  return res.status(201).json({
+    success: true,
+    result: {
+      ...formatApiKey(newKey, req.apiKey?.id),
+      key,
+      previousKey: formatApiKey(updatedOldKey, req.apiKey?.id)
+    },
+    message: 'API key rotated. Copy the new key now - it will not be shown again.'
+  });
+});
+
+// Revoke an API key
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const record = await prisma.apiKey.findFirst({
+    where: { id: req.params.id, userId, deletedAt: null }
+  });
+  if (!record) {
+    throw new NotFoundError('API key not found');
+  }
+
+  await prisma.apiKey.update({
+    where: { id: record.id },
+    data: { isActive: false, deletedAt: new Date() }
+  });
+  invalidateApiKey(record.id);
+
+  console.log(`[API_KEYS] Revoked API key ${record.id} for user: ${userId}`);
+
+  return res.status(200).json({
+    success: true,
+    message: 'API key revoked'
+  });
+});
+
+module.exports = {
+  listApiKeyScopes,
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
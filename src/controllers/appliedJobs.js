@@ -1,6 +1,8 @@
 // src/controllers/appliedJobs.js
 const prisma = require('../utils/prismaClient');
 const { ValidationError, NotFoundError, asyncHandler } = require('../utils/errors');
+const { resolveTimeZone } = require('../utils/timezone');
+const { getDailyGoalProgress } = require('../utils/dailyGoal');
 
 /**
  * Validates if a title is actually a job title and not navigation/button text
@@ -94,17 +96,21 @@ const getAppliedJobs = asyncHandler(async (req, res) => {
   
   console.log(`[APPLIED_JOBS] GET /api/applied-jobs - User: ${userId} - Starting fetch`);
   
-  const appliedJobs = await prisma.appliedJob.findMany({
-    where: { userId },
-    orderBy: { appliedDate: 'desc' }
-  });
+  const [appliedJobs, goal] = await Promise.all([
+    prisma.appliedJob.findMany({
+      where: { userId },
+      orderBy: { appliedDate: 'desc' }
+    }),
+    getDailyGoalProgress(req.user, resolveTimeZone(req))
+  ]);
 
   const duration = Date.now() - startTime;
   console.log(`[APPLIED_JOBS] GET /api/applied-jobs - User: ${userId} - Success: Found ${appliedJobs.length} jobs in ${duration}ms`);
 
   return res.status(200).json({
     success: true,
-    appliedJobs
+    appliedJobs,
+    goal
   });
 });
 
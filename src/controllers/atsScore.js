@@ -0,0 +1,44 @@
+// src/controllers/atsScore.js
+const { ValidationError, asyncHandler } = require('../utils/errors');
+const { scoreResume } = require('../utils/atsScorer');
+const { loadResumeData } = require('./resumeExport');
+const { extractResumeSections } = require('./resume');
+
+/**
+ * Score a resume against a job description without calling the LLM.
+ * Uses the posted `resume` (sections) or `resumeText`, else the user's stored resume.
+ */
+const getAtsScore = asyncHandler(async (req, res) => {
+  const { jobDescription, resume, resumeText } = req.body || {};
+
+  if (!jobDescription || typeof jobDescription !== 'string' || !jobDescription.trim()) {
+    throw new ValidationError('Missing required field: jobDescription');
+  }
+
+  let resumeInput;
+  let source;
+  if (typeof resumeText === 'string' && resumeText.trim()) {
+    resumeInput = resumeText;
+    source = 'text';
+  } else if (resume !== undefined) {
+    resumeInput = extractResumeSections(resume);
+    source = 'request';
+  } else {
+    resumeInput = await loadResumeData(req.user.id);
+    source = 'stored';
+  }
+
+  const result = scoreResume(resumeInput, jobDescription);
+
+  console.log(`[ATS_SCORE] User: ${req.user.id} - source: ${source}, score: ${result.score}, keywords: ${result.matchedKeywords.length + result.missingKeywords.length}`);
+
+  return res.status(200).json({
+    success: true,
+    result: {
+      ...result,
+      resumeSource: source
+    }
+  });
+});
+
+module.exports = { getAtsScore };
@@ -1,5 +1,6 @@
 // src/controllers/auth.js
-const prisma = require('../utils/prismaClient');
+const { findApiKey } = require('../utils/apiKeys');
+const { markApiKeyUsed } = require('../utils/authCache');
 const { AuthenticationError, ValidationError, AppError, ERROR_CODES, asyncHandler } = require('../utils/errors');
 
 const validateApiKey = asyncHandler(async (req, res) => {
@@ -32,15 +33,8 @@ const validateApiKeyPublic = asyncHandler(async (req, res) => {
   
   console.log(`[AUTH_PUBLIC] Validating API key: ${trimmedApiKey.substring(0, 8)}... (length: ${trimmedApiKey.length})`);
   
-  // Query ApiKey model using 'key' field
-  const apiKeyRecord = await prisma.apiKey.findUnique({
-    where: { 
-      key: trimmedApiKey 
-    },
-    include: {
-      user: true
-    }
-  });
+  // Look up by prefix and compare hashes (legacy plaintext keys are migrated on first use)
+  const apiKeyRecord = await findApiKey(trimmedApiKey, { include: { user: true } });
 
   if (!apiKeyRecord) {
     console.log(`[AUTH_PUBLIC] Invalid API key: ${apiKey.substring(0, 8)}...`);
@@ -69,6 +63,12 @@ const validateApiKeyPublic = asyncHandler(async (req, res) => {
     throw new AppError(ERROR_CODES.API_KEY_INACTIVE, 'API key is inactive', 403);
   }
 
+  // Check if API key has expired
+  if (apiKeyRecord.expiresAt && apiKeyRecord.expiresAt <= new Date()) {
+    console.log(`[AUTH_PUBLIC] API key expired for user: ${apiKeyRecord.user.email}`);
+    throw new AppError(ERROR_CODES.API_KEY_EXPIRED, 'API key has expired', 401);
+  }
+
   // Check if user is deleted
   if (apiKeyRecord.user.deletedAt) {
     console.log(`[AUTH_PUBLIC] User deleted: ${apiKeyRecord.user.email}`);
@@ -91,16 +91,8 @@ const validateApiKeyPublic = asyncHandler(async (req, res) => {
 
   console.log(`[AUTH_PUBLIC] API key validation successful for user: ${apiKeyRecord.user.email}`);
 
-  // Update lastUsedAt (non-blocking - don't fail validation if this fails)
-  try {
-    await prisma.apiKey.update({
-      where: { id: apiKeyRecord.id },
-      data: { lastUsedAt: new Date() }
-    });
-  } catch (updateError) {
-    // Log but don't fail validation if lastUsedAt update fails
-    console.warn(`[AUTH_PUBLIC] Failed to update lastUsedAt for API key ${apiKeyRecord.id}:`, updateError.message);
-  }
+  // lastUsedAt is written in periodic batches
+  markApiKeyUsed(apiKeyRecord.id);
 
   return res.status(200).json({
     success: true,
@@ -109,6 +101,10 @@ const validateApiKeyPublic = asyncHandler(async (req, res) => {
       id: apiKeyRecord.user.id,
       email: apiKeyRecord.user.email,
       name: apiKeyRecord.user.fullName
+    },
+    apiKey: {
+      scopes: apiKeyRecord.scopes,
+      expiresAt: apiKeyRecord.expiresAt
     }
   });
 });
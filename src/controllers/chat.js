@@ -1,4 +1,4 @@
-const { generateContentWithFallback } = require('../utils/geminiClient');
+const { generateContentWithFallback } = require('../utils/llmClient');
 const { chatAssistant } = require('../utils/prompts.json');
 const { ValidationError, asyncHandler } = require('../utils/errors');
 
@@ -14,7 +14,7 @@ const chatWithContext = asyncHandler(async (req, res) => {
   const resumeString = typeof resume === 'string' ? resume : JSON.stringify(resume);
   const fullPrompt = `${SYSTEM_PROMPT}\n\nJob Description:\n${jobDescription}\n\nCandidate Resume (JSON):\n${resumeString}\n\nUser Question:\n${question}`;
 
-  const response = await generateContentWithFallback(fullPrompt, 'CHAT');
+  const response = await generateContentWithFallback(fullPrompt, 'CHAT', { llmCalls: req.llmCalls });
   const text = (response && typeof response.text === 'function') ? response.text() : '';
 
   let answer = (text || '').trim();
@@ -1,29 +1,9 @@
-const path = require('path');
-const fs = require('fs');
-const { generateContentWithFallback } = require('../utils/geminiClient');
+const { generateStructuredContent, describeSchema } = require('../utils/structuredOutput');
 const { coverLetter } = require('../utils/prompts.json');
 const { ValidationError, ERROR_CODES, createErrorResponse, asyncHandler } = require('../utils/errors');
 
 const SYSTEM_PROMPT = coverLetter;
-const COVERLETTER_SCHEMA = fs.readFileSync(path.join(__dirname, '../schemas/coverletter.md'), 'utf8');
-
-function extractJSONFromString(input) {
-  const jsonMatch = input.match(/```json\s*([\s\S]*?)\s*```/);
-
-  if (jsonMatch) {
-    try {
-      return JSON.parse(jsonMatch[1]);
-    } catch (err) {
-      throw new ValidationError("Found a JSON block, but it contained invalid JSON.");
-    }
-  }
-
-  try {
-    return JSON.parse(input);
-  } catch (err) {
-    throw new ValidationError("Could not find a valid JSON object in the model's response.");
-  }
-}
+const COVERLETTER_SCHEMA = require('../schemas/coverletter.json');
 
 const generateCoverLetter = asyncHandler(async (req, res) => {
   console.log('[COVERLETTER] Request body:', {
@@ -48,14 +28,9 @@ const generateCoverLetter = asyncHandler(async (req, res) => {
   }
   
   const resumeString = JSON.stringify(resume);
-  const fullPrompt = `${SYSTEM_PROMPT}\n Job Description:\n${jobDescription}\n\nresume:\n${resumeString}\n\nResponse Format:${COVERLETTER_SCHEMA}`;
-
-  const response = await generateContentWithFallback(fullPrompt, 'COVERLETTER');
-  const text = response.text();
-  
-  console.log('AI Response Text:', text); // Debug log
+  const fullPrompt = `${SYSTEM_PROMPT}\n Job Description:\n${jobDescription}\n\nresume:\n${resumeString}\n\nResponse Format:\n${describeSchema(COVERLETTER_SCHEMA)}`;
 
-  const extractedResult = extractJSONFromString(text);
+  const { result: extractedResult } = await generateStructuredContent(fullPrompt, 'COVERLETTER', COVERLETTER_SCHEMA, { llmCalls: req.llmCalls });
   console.log('Extracted Result:', extractedResult); // Debug log
 
   res.json({ success: true, result: extractedResult });
@@ -1,44 +1,42 @@
-const path = require('path');
-const fs = require('fs');
-const { generateContentWithFallback } = require('../utils/geminiClient');
+const { generateStructuredContent, describeSchema } = require('../utils/structuredOutput');
 const { experienceSummary } = require('../utils/prompts.json');
 const { ValidationError, asyncHandler } = require('../utils/errors');
+const { saveExperienceVariant } = require('./tailoredResumes');
 
 const SYSTEM_PROMPT = experienceSummary;
-const EXPERIENCE_SCHEMA = fs.readFileSync(path.join(__dirname, '../schemas/experience.md'), 'utf8');
-
-function extractJSONFromString(input) {
-  const jsonMatch = input.match(/```json\s*([\s\S]*?)\s*```/);
-
-  if (jsonMatch) {
-    try {
-      return JSON.parse(jsonMatch[1]);
-    } catch (err) {
-      throw new ValidationError("Found a JSON block, but it contained invalid JSON.");
-    }
-  }
-  try {
-    return JSON.parse(input);
-  } catch (err) {
-    throw new ValidationError("Could not find a valid JSON object in the model's response.");
-  }
-}
+const EXPERIENCE_SCHEMA = require('../schemas/experience.json');
 
 const generateExperience = asyncHandler(async (req, res) => {
-  const { jobDescription, experience } = req.body;
+  const { jobDescription, experience, appliedJobId } = req.body;
 
   if (!jobDescription || !experience) {
     throw new ValidationError('Missing required fields: jobDescription and experience are required');
   }
 
   const experienceString = JSON.stringify(experience);
-  const fullPrompt = `${SYSTEM_PROMPT}\n Job Description:\n${jobDescription}\n Experience:\n${experienceString}\nResponse Format:${EXPERIENCE_SCHEMA}`;
+  const fullPrompt = `${SYSTEM_PROMPT}\n Job Description:\n${jobDescription}\n Experience:\n${experienceString}\nResponse Format:\n${describeSchema(EXPERIENCE_SCHEMA)}`;
 
-  const response = await generateContentWithFallback(fullPrompt, 'EXPERIENCE');
-  const text = response.text();
-  const extractedResult = extractJSONFromString(text);
+  const { result: extractedResult } = await generateStructuredContent(fullPrompt, 'EXPERIENCE', EXPERIENCE_SCHEMA, { llmCalls: req.llmCalls });
   console.log(extractedResult);
-  res.json({ success: true, result: extractedResult });
+
+  // Store the tailored bullets against the applied job so the sent resume can be looked up later
+  let tailoredResumeId = null;
+  if (req.user && typeof appliedJobId === 'string' && Array.isArray(extractedResult.enhanced_experience)) {
+    try {
+      const variant = await saveExperienceVariant({
+        userId: req.user.id,
+        appliedJobId,
+        jobDescription,
+        enhancedExperience: extractedResult.enhanced_experience
+      });
+      tailoredResumeId = variant?.id || null;
+    } catch (variantError) {
+      // Don't fail the request if saving the tailored resume fails
+      console.error('[EXPERIENCE] Error saving tailored resume:', variantError.message);
+    }
+  }
+
+  res.json({ success: true, result: extractedResult, ...(tailoredResumeId && { tailoredResumeId }) });
 });
 
 module.exports = { generateExperience };
\ No newline at end of file
@@ -1,40 +1,37 @@
 // src/controllers/keywords.js
-const path = require('path');
-const fs = require('fs');
-const { generateContentWithFallback } = require('../utils/geminiClient');
+const { generateStructuredContent, describeSchema } = require('../utils/structuredOutput');
 const { keywordExtraction } = require('../utils/prompts.json');
 const { ValidationError, asyncHandler } = require('../utils/errors');
+const { extractJobSkills, compareSkills } = require('../utils/skillExtractor');
 
-const SKILLS_SCHEMA = fs.readFileSync(path.join(__dirname, '../schemas/keywords.md'), 'utf8');
+const SKILLS_SCHEMA = require('../schemas/keywords.json');
 const SYSTEM_PROMPT = keywordExtraction;
 
-function extractJSONFromString(input) {
-  // Try to find JSON in code blocks first
-  const jsonMatch = input.match(/```json\s*([\s\S]*?)\s*```/);
-  if (jsonMatch) {
-    try {
-      return JSON.parse(jsonMatch[1]);
-    } catch (err) {
-      throw new ValidationError("Found a JSON block, but it contained invalid JSON.");
-    }
+// "llm" (default): Gemini only, "local": skills database only (no Gemini call), "hybrid": local pre-pass passed to Gemini as a hint
+const KEYWORD_MODES = ['llm', 'local', 'hybrid'];
+const DEFAULT_KEYWORD_MODE = 'llm';
+
+/**
+ * Keyword mode requested in a /keywords body, lowercased (not validated)
+ * @param {Object} [body] - Request body
+ * @returns {string}
+ */
+function getKeywordMode(body) {
+  return String(body?.mode || DEFAULT_KEYWORD_MODE).toLowerCase();
+}
+
+function toSkillList(skills) {
+  if (Array.isArray(skills)) {
+    return skills.filter(skill => typeof skill === 'string');
   }
+  return String(skills).split(',').map(skill => skill.trim()).filter(Boolean);
+}
 
-  // Try to parse the entire response as JSON
-  try {
-    return JSON.parse(input);
-  } catch (err) {
-    // Try to extract JSON from anywhere in the response
-    const jsonObjectMatch = input.match(/\{[\s\S]*\}/);
-    if (jsonObjectMatch) {
-      try {
-        return JSON.parse(jsonObjectMatch[0]);
-      } catch (err2) {
-        // Final fallback failed
-      }
-    }
-    
-    throw new ValidationError("Could not find a valid JSON object in the model's response.");
+function buildLocalSkillsHint(extraction) {
+  if (!extraction.required.length && !extraction.niceToHave.length) {
+    return '';
   }
+  return `\n\nSkills detected in the job description by a skills database (may be incomplete):\nRequired: ${JSON.stringify(extraction.required)}\nNice to have: ${JSON.stringify(extraction.niceToHave)}`;
 }
 
 const generateKeywords = asyncHandler(async (req, res) => {
@@ -61,10 +58,44 @@ const generateKeywords = asyncHandler(async (req, res) => {
     throw new ValidationError('Missing required fields: jobDescription and skills are required');
   }
 
+  const mode = getKeywordMode(req.body);
+  if (!KEYWORD_MODES.includes(mode)) {
+    throw new ValidationError(`Invalid mode: ${mode}. Expected one of: ${KEYWORD_MODES.join(', ')}`);
+  }
+
+  // Step 0: Local skill extraction (skills database, no API call)
+  let localSkills = null;
+  if (mode !== 'llm') {
+    const localStartTime = Date.now();
+    const candidateSkills = toSkillList(skills);
+    const extraction = extractJobSkills(jobDescription, { extraSkills: candidateSkills });
+    localSkills = {
+      ...compareSkills(extraction, candidateSkills),
+      required: extraction.required,
+      niceToHave: extraction.niceToHave,
+      other: extraction.other
+    };
+    console.log(`[KEYWORDS] ⏱️  Local skill extraction: ${Date.now() - localStartTime}ms (${extraction.skills.length} skills)`);
+
+    if (mode === 'local') {
+      console.log(`[KEYWORDS] ===== Request completed (local) in ${Date.now() - startTime}ms =====`);
+      return res.json({
+        success: true,
+        result: {
+          present_skills: localSkills.present_skills,
+          missing_skills: localSkills.missing_skills
+        },
+        mode,
+        localSkills
+      });
+    }
+  }
+
   // Step 1: Prepare prompt
   const promptStartTime = Date.now();
   const skillsString = JSON.stringify(skills);
-  const fullPrompt = `${SYSTEM_PROMPT}\n Job Description:\n${jobDescription}\n\nCurrent Skills:\n${skillsString}\n\nResponse Format:${SKILLS_SCHEMA}`;
+  const localHint = localSkills ? buildLocalSkillsHint(localSkills) : '';
+  const fullPrompt = `${SYSTEM_PROMPT}\n Job Description:\n${jobDescription}${localHint}\n\nCurrent Skills:\n${skillsString}\n\nResponse Format:\n${describeSchema(SKILLS_SCHEMA)}`;
   const promptTime = Date.now() - promptStartTime;
   const promptLength = fullPrompt.length;
   const promptWordCount = fullPrompt.split(/\s+/).length;
@@ -77,13 +108,13 @@ const generateKeywords = asyncHandler(async (req, res) => {
     skillsCount: Array.isArray(skills) ? skills.length : 0,
     skillsStringLength: skillsString.length,
     systemPromptLength: SYSTEM_PROMPT.length,
-    schemaLength: SKILLS_SCHEMA.length
+    schemaLength: JSON.stringify(SKILLS_SCHEMA).length
   });
 
   // Step 2: Call Gemini API
   const geminiStartTime = Date.now();
   console.log('[KEYWORDS] 📡 Calling Gemini API...');
-  const response = await generateContentWithFallback(fullPrompt, 'KEYWORDS');
+  const { result: extractedResult, response, repaired } = await generateStructuredContent(fullPrompt, 'KEYWORDS', SKILLS_SCHEMA, { llmCalls: req.llmCalls });
   const geminiTime = Date.now() - geminiStartTime;
   console.log(`[KEYWORDS] ✅ Gemini API response received: ${geminiTime}ms`);
 
@@ -120,12 +151,6 @@ const generateKeywords = asyncHandler(async (req, res) => {
     responseSizeKB: (text.length / 1024).toFixed(2)
   });
 
-  // Step 4: Parse JSON
-  const parseStartTime = Date.now();
-  const extractedResult = extractJSONFromString(text);
-  const parseTime = Date.now() - parseStartTime;
-  console.log(`[KEYWORDS] ⏱️  JSON parsing: ${parseTime}ms`);
-
   // Total time
   const totalTime = Date.now() - startTime;
   console.log(`[KEYWORDS] ===== Request completed =====`);
@@ -133,11 +158,16 @@ const generateKeywords = asyncHandler(async (req, res) => {
   console.log(`[KEYWORDS]    - Prompt preparation: ${promptTime}ms`);
   console.log(`[KEYWORDS]    - Gemini API call: ${geminiTime}ms (${((geminiTime / totalTime) * 100).toFixed(1)}%)`);
   console.log(`[KEYWORDS]    - Text extraction: ${textExtractTime}ms`);
-  console.log(`[KEYWORDS]    - JSON parsing: ${parseTime}ms`);
+  console.log(`[KEYWORDS]    - Schema repair needed: ${repaired ? 'yes' : 'no'}`);
   console.log(`[KEYWORDS]    - TOTAL TIME: ${totalTime}ms`);
   console.log(`[KEYWORDS] =============================`);
 
-  res.json({ success: true, result: extractedResult });
+  res.json({
+    success: true,
+    result: extractedResult,
+    mode,
+    ...(localSkills ? { localSkills } : {})
+  });
 });
 
-module.exports = { generateKeywords };
\ No newline at end of file
+module.exports = { generateKeywords, getKeywordMode };
\ No newline at end of file
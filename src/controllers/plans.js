@@ -0,0 +1,191 @@
+// src/controllers/plans.js
+const prisma = require('../utils/prismaClient');
+const { AppError, ERROR_CODES, ValidationError, NotFoundError, asyncHandler } = require('../utils/errors');
+const { getPlan, listPlans, getServiceCost, AI_SERVICES } = require('../utils/usageQuota');
+const { invalidateUser } = require('../utils/authCache');
+
+// Bonus credit grants are bounded so a typo can't hand out unlimited usage
+const MAX_CREDIT_UNITS = 10000;
+const DEFAULT_CREDIT_DAYS = 30;
+const MAX_CREDIT_DAYS = 365;
+
+async function findUserOrThrow(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user || user.deletedAt) {
+    throw new NotFoundError('User not found');
+  }
+  return user;
+}
+
+function parseExpiry(body, defaultDays) {
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const expiresAt = new Date(body.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw new ValidationError('expiresAt must be a valid date in the future');
+    }
+    return expiresAt;
+  }
+  if (body.expiresInDays !== undefined) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_CREDIT_DAYS) {
+      throw new ValidationError(`expiresInDays must be an integer between 1 and ${MAX_CREDIT_DAYS}`);
+    }
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+  return defaultDays ? new Date(Date.now() + defaultDays * 24 * 60 * 60 * 1000) : null;
+}
+
+function formatCredit(credit) {
+  return {
+    id: credit.id,
+    units: credit.units,
+    remaining: credit.remaining,
+    reason: credit.reason,
+    grantedBy: credit.grantedBy,
+    expiresAt: credit.expiresAt,
+    createdAt: credit.createdAt,
+    active: !credit.deletedAt && credit.expiresAt > new Date() && credit.remaining > 0
+  };
+}
+
+// List quota plans and per-service cost weights
+const getPlans = asyncHandler(async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    plans: listPlans().map(({ name, label, dailyLimit, monthlyLimit }) => ({ name, label, dailyLimit, monthlyLimit })),
+    serviceCosts: Object.fromEntries(AI_SERVICES.map(service => [service, getServiceCost(service)]))
+  });
+});
+
+/**
+ * Assign a plan to a user.
+ * Admins can assign any plan; mentors can assign mentor-assignable plans to their own mentees.
+ */
+const assignUserPlan = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { plan: planName } = req.body || {};
+  const adminMentor = req.adminMentor;
+
+  const plan = getPlan(planName);
+  if (!plan) {
+    throw new ValidationError(`Unknown plan: ${planName}`, { plans: listPlans().map(({ name }) => name) });
+  }
+
+  const user = await findUserOrThrow(userId);
+
+  if (!adminMentor.isAdmin) {
+    if (!plan.mentorAssignable) {
+      throw new AppError(ERROR_CODES.FORBIDDEN, `Only admins can assign the ${plan.label} plan`, 403);
+    }
+    if (user.mentorId !== adminMentor.id) {
+      throw new AppError(ERROR_CODES.FORBIDDEN, 'Mentors can only assign plans to their own mentees', 403);
+    }
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      plan: plan.name,
+      planAssignedBy: adminMentor.id,
+      planExpiresAt: parseExpiry(req.body, null)
+    }
+  });
+  // Cached auth lookups carry the user row, including the plan
+  invalidateUser(userId);
+
+  console.log(`[PLANS] ${adminMentor.email} assigned plan ${plan.name} to user: ${userId}`);
+
+  return res.status(200).json({
+    success: true,
+    result: {
+      userId: updated.id,
+      plan: updated.plan,
+      planAssignedBy: updated.planAssignedBy,
+      planExpiresAt: updated.planExpiresAt
+    },
+    message: `Plan updated to ${plan.label}`
+  });
+});
+
+// Grant temporary bonus credits to a user (admin only)
+const grantBonusCredits = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const body = req.body || {};
+  const units = Number(body.units);
+
+  if (!Number.isInteger(units) || units < 1 || units > MAX_CREDIT_UNITS) {
+    throw new ValidationError(`units must be an integer between 1 and ${MAX_CREDIT_UNITS}`);
+  }
+  if (body.reason !== undefined && typeof body.reason !== 'string') {
+    throw new ValidationError('reason must be a string');
+  }
+
+  await findUserOrThrow(userId);
+
+  const credit = await prisma.quotaCredit.create({
+    data: {
+      userId,
+      units,
+      remaining: units,
+      reason: body.reason || null,
+      grantedBy: req.adminMentor.id,
+      expiresAt: parseExpiry(body, DEFAULT_CREDIT_DAYS)
+    }
+  });
+
+  console.log(`[PLANS] ${req.adminMentor.email} granted ${units} bonus credits to user: ${userId}`);
+
+  return res.status(201).json({
+    success: true,
+    result: formatCredit(credit),
+    message: 'Bonus credits granted'
+  });
+});
+
+// List a user's bonus credits (admin only)
+const listBonusCredits = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  await findUserOrThrow(userId);
+
+  const credits = await prisma.quotaCredit.findMany({
+    where: { userId, deletedAt: null },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return res.status(200).json({
+    success: true,
+    result: credits.map(formatCredit)
+  });
+});
+
+// Revoke a bonus credit grant (admin only)
+const revokeBonusCredits = asyncHandler(async (req, res) => {
+  const { userId, creditId } = req.params;
+
+  const credit = await prisma.quotaCredit.findFirst({
+    where: { id: creditId, userId, deletedAt: null }
+  });
+  if (!credit) {
+    throw new NotFoundError('Bonus credit not found');
+  }
+
+  await prisma.quotaCredit.update({
+    where: { id: creditId },
+    data: { deletedAt: new Date() }
+  });
+
+  console.log(`[PLANS] ${req.adminMentor.email} revoked bonus credit ${creditId} for user: ${userId}`);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Bonus credits revoked'
+  });
+});
+
+module.exports = {
+  getPlans,
+  assignUserPlan,
+  grantBonusCredits,
+  listBonusCredits,
+  revokeBonusCredits
+};
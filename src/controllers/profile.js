@@ -0,0 +1,83 @@
+// src/controllers/profile.js
+const prisma = require('../utils/prismaClient');
+const { ValidationError, RateLimitError, asyncHandler } = require('../utils/errors');
+const { isValidTimeZone, resolveTimeZone, resolveQuotaTimeZone } = require('../utils/timezone');
+const { invalidateUser } = require('../utils/authCache');
+
+// Quota windows follow the saved timezone, so it can only change once per interval
+const TIMEZONE_CHANGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+function formatProfile(user, req) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.fullName,
+    goalPerDay: user.goalPerDay,
+    timezone: user.timezone,
+    // Timezone actually used for daily stats, and for quota windows
+    effectiveTimezone: resolveTimeZone(req, user),
+    quotaTimezone: resolveQuotaTimeZone(user),
+    timezoneUpdatedAt: user.timezoneUpdatedAt || null
+  };
+}
+
+// Get the authenticated user's profile settings
+const getProfile = asyncHandler(async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    profile: formatProfile(req.user, req)
+  });
+});
+
+/**
+ * Update profile settings.
+ * timezone: IANA name (e.g. "Asia/Kolkata"), or null to fall back to the server default.
+ * The timezone can change at most once every 24 hours.
+ */
+const updateProfile = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  if (body.timezone === undefined) {
+    throw new ValidationError('No profile fields to update. Supported fields: timezone');
+  }
+  if (body.timezone !== null && !isValidTimeZone(body.timezone)) {
+    throw new ValidationError('timezone must be a valid IANA timezone name (e.g. "Asia/Kolkata")');
+  }
+
+  const timezone = body.timezone === null ? null : body.timezone.trim();
+  let user = req.user;
+
+  if (timezone !== (user.timezone ?? null)) {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - TIMEZONE_CHANGE_INTERVAL_MS);
+    // Conditional update so concurrent requests can't both change the timezone
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ timezoneUpdatedAt: null }, { timezoneUpdatedAt: { lte: cutoff } }]
+      },
+      data: { timezone, timezoneUpdatedAt: now }
+    });
+    user = await prisma.user.findUnique({ where: { id: user.id } });
+    invalidateUser(user.id);
+
+    if (count === 0) {
+      const retryAfter = Math.max(1, Math.ceil((user.timezoneUpdatedAt.getTime() + TIMEZONE_CHANGE_INTERVAL_MS - now.getTime()) / 1000));
+      res.setHeader('Retry-After', String(retryAfter));
+      throw new RateLimitError('Timezone can only be changed once every 24 hours', { retryAfter });
+    }
+
+    console.log(`[PROFILE] Updated profile for user: ${user.id}`, { timezone });
+  }
+
+  return res.status(200).json({
+    success: true,
+    profile: formatProfile(user, req),
+    message: 'Profile updated'
+  });
+});
+
+module.exports = {
+  getProfile,
+  updateProfile
+};
@@ -1,6 +1,22 @@
 // src/controllers/resume.js
 const prisma = require('../utils/prismaClient');
-const { AppError, ERROR_CODES, asyncHandler } = require('../utils/errors');
+const { AppError, ERROR_CODES, ValidationError, AuthenticationError, asyncHandler } = require('../utils/errors');
+const { validateAgainstSchema } = require('../utils/schemaValidator');
+const { createResumeSnapshot, lockResumeHistory } = require('../utils/resumeHistory');
+const { RESUME_SECTIONS, pickResumeSections } = require('../utils/resumeSections');
+const RESUME_SETTINGS_SCHEMA = require('../schemas/resumeSettings.json');
+
+// Values used for required columns when a resume is saved for the first time
+const DEFAULT_RESUME_SETTINGS = {
+  personalInfo: {},
+  education: [],
+  experience: [],
+  skills: [],
+  projects: [],
+  customSections: [],
+  sectionOrder: [],
+  sectionNames: {},
+};
 
 // Helper to parse fullName into firstName and lastName
 function parseFullName(fullName) {
@@ -16,6 +32,48 @@ function parseFullName(fullName) {
   return { firstName, lastName };
 }
 
+function buildProfileData(user) {
+  if (!user) {
+    return null;
+  }
+  const { firstName, lastName } = parseFullName(user.fullName);
+  return {
+    firstName: firstName || '',
+    lastName: lastName || '',
+    email: user.email || '',
+  };
+}
+
+// Shape stored ResumeSettings into the structure the resume builder consumes.
+// User profile data takes precedence for firstName/lastName/email.
+function buildResumeData(settings, user) {
+  const { firstName, lastName } = parseFullName(user?.fullName);
+  const userEmail = user?.email || '';
+  const savedPersonalInfo = settings.personalInfo || {};
+
+  const mergedPersonalInfo = {
+    ...savedPersonalInfo,
+    firstName: firstName || savedPersonalInfo?.firstName || '',
+    lastName: lastName || savedPersonalInfo?.lastName || '',
+    email: userEmail || savedPersonalInfo?.email || '',
+  };
+
+  return {
+    personalInfo: mergedPersonalInfo,
+    professionalSummary: settings.professionalSummary || '',
+    education: settings.education || [],
+    experience: settings.experience || [],
+    skills: settings.skills || [],
+    projects: settings.projects || [],
+    customSections: settings.customSections || [],
+    skillsDisplayMode: settings.skillsDisplayMode || 'twoColumnar',
+    skillsLineTime: settings.skillsLineTime || [],
+    sectionOrder: settings.sectionOrder || [],
+    sectionNames: settings.sectionNames || {},
+    deletedSections: (settings.deletedSections && Array.isArray(settings.deletedSections)) ? settings.deletedSections : [],
+  };
+}
+
 const loadResume = asyncHandler(async (req, res) => {
   // req.user is set by authenticateApiKey middleware
   if (!req.user) {
@@ -35,63 +93,142 @@ const loadResume = asyncHandler(async (req, res) => {
     }),
   ]);
 
-  // Parse fullName from User profile
-  const { firstName, lastName } = parseFullName(user?.fullName);
-  const userEmail = user?.email || '';
-
   // If no saved settings, return null (will use defaults with user profile data)
   if (!settings) {
     return res.json({
       success: true,
       result: null,
       hasResume: false,
-      profileData: user ? {
-        firstName: firstName || '',
-        lastName: lastName || '',
-        email: userEmail || '',
-      } : null,
+      profileData: buildProfileData(user),
       message: 'No saved resume settings found. Using default template with profile data.',
     });
   }
 
-  const savedPersonalInfo = settings.personalInfo || {};
-  
-  // Merge User profile data into personalInfo (User data takes precedence for firstName/lastName/email)
-  const mergedPersonalInfo = {
-    ...savedPersonalInfo,
-    firstName: firstName || savedPersonalInfo?.firstName || '',
-    lastName: lastName || savedPersonalInfo?.lastName || '',
-    email: userEmail || savedPersonalInfo?.email || '',
-  };
-
-  const resumeData = {
-    personalInfo: mergedPersonalInfo,
-    professionalSummary: settings.professionalSummary || '',
-    education: settings.education || [],
-    experience: settings.experience || [],
-    skills: settings.skills || [],
-    projects: settings.projects || [],
-    customSections: settings.customSections || [],
-    skillsDisplayMode: settings.skillsDisplayMode || 'twoColumnar',
-    skillsLineTime: settings.skillsLineTime || [],
-    sectionOrder: settings.sectionOrder || [],
-    sectionNames: settings.sectionNames || {},
-    deletedSections: (settings.deletedSections && Array.isArray(settings.deletedSections)) ? settings.deletedSections : [],
-  };
+  const resumeData = buildResumeData(settings, user);
 
   return res.json({
     success: true,
     result: resumeData,
     hasResume: true,
-    profileData: user ? {
-      firstName: firstName || '',
-      lastName: lastName || '',
-      email: userEmail || '',
-    } : null,
+    profileData: buildProfileData(user),
     message: 'Resume loaded successfully',
   });
 });
 
+/**
+ * Pick the writable resume sections present in a request body and validate them
+ * @param {Object} body - Request body (may contain any subset of RESUME_SECTIONS)
+ * @returns {Object} - Only the sections that were provided
+ */
+function extractResumeSections(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Resume data must be a JSON object');
+  }
+
+  const sections = pickResumeSections(body);
+
+  if (Object.keys(sections).length === 0) {
+    throw new ValidationError(`No resume sections provided. Expected at least one of: ${RESUME_SECTIONS.join(', ')}`);
+  }
+
+  const { valid, errors } = validateAgainstSchema(RESUME_SETTINGS_SCHEMA, sections);
+  if (!valid) {
+    throw new ValidationError('Invalid resume data', { errors });
+  }
+
+  return sections;
+}
+
+/**
+ * Create or partially update a user's ResumeSettings and record the result as a new version.
+ * Sections not present in `sections` are left untouched.
+ * @param {string} userId
+ * @param {Object} sections - Validated sections (see extractResumeSections)
+ * @param {Object} options
+ * @param {string} [options.label] - Optional label for the created version
+ * @param {string} [options.source] - Version source ("save" | "restore" | "import")
+ * @returns {Promise<{settings: Object, version: Object, created: boolean}>}
+ */
+async function saveResumeSettings(userId, sections, { label = null, source = 'save' } = {}) {
+  const data = { ...sections };
+
+  // Nullable JSON columns are stored as empty arrays rather than JSON null
+  if (data.customSections === null) data.customSections = [];
+  if (data.skillsLineTime === null) data.skillsLineTime = [];
+
+  return prisma.$transaction(async (tx) => {
+    // Taken before the baseline check so concurrent saves can't both add a baseline
+    await lockResumeHistory(tx, userId);
+    const existing = await tx.resumeSettings.findUnique({
+      where: { userId },
+    });
+
+    let settings;
+    if (existing) {
+      // Resumes saved before versioning existed get a baseline so the first edit can be undone
+      const versionCount = await tx.resumeVersion.count({ where: { userId } });
+      if (versionCount === 0) {
+        await createResumeSnapshot(tx, userId, existing, { label: 'Initial version', source: 'baseline' });
+      }
+
+      settings = await tx.resumeSettings.update({
+        where: { userId },
+        data: { ...data, deletedAt: null },
+      });
+    } else {
+      settings = await tx.resumeSettings.create({
+        data: {
+          ...DEFAULT_RESUME_SETTINGS,
+          ...data,
+          userId,
+        },
+      });
+    }
+
+    const version = await createResumeSnapshot(tx, userId, settings, { label, source });
+    return { settings, version, created: !existing };
+  });
+}
+
+const saveResume = asyncHandler(async (req, res) => {
+  if (!req.user) {
+    throw new AuthenticationError('Authentication required');
+  }
+
+  const userId = req.user.id;
+  const sections = extractResumeSections(req.body);
+
+  console.log(`[RESUME] Saving resume for user: ${userId} - sections: ${Object.keys(sections).join(', ')}`);
+
+  const { settings, version, created } = await saveResumeSettings(userId, sections, {
+    label: typeof req.body.label === 'string' ? req.body.label : null,
+  });
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { fullName: true, email: true },
+  });
+
+  return res.status(created ? 201 : 200).json({
+    success: true,
+    result: buildResumeData(settings, user),
+    hasResume: true,
+    profileData: buildProfileData(user),
+    updatedSections: Object.keys(sections),
+    version: {
+      id: version.id,
+      versionNumber: version.versionNumber,
+      label: version.label,
+      createdAt: version.createdAt,
+    },
+    message: created ? 'Resume created successfully' : 'Resume saved successfully',
+  });
+});
+
 module.exports = {
-  loadResume
+  loadResume,
+  saveResume,
+  buildResumeData,
+  buildProfileData,
+  extractResumeSections,
+  saveResumeSettings
 };
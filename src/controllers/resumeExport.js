@@ -0,0 +1,180 @@
+// src/controllers/resumeExport.js
+const prisma = require('../utils/prismaClient');
+const { AppError, ERROR_CODES, NotFoundError, ValidationError, asyncHandler } = require('../utils/errors');
+const { renderResumeLatex, compileLatexToPdf } = require('../utils/latexRenderer');
+const { DEFAULT_TEMPLATE, getLatexTemplate, listLatexTemplates } = require('../utils/latexTemplates');
+const { renderResumeMarkdown } = require('../utils/markdownRenderer');
+const { toJsonResume, fromJsonResume, isJsonResume, validateJsonResume } = require('../utils/jsonResume');
+const { buildResumeData, extractResumeSections, saveResumeSettings } = require('./resume');
+
+const EXPORT_FORMATS = ['latex', 'pdf', 'markdown', 'json-resume'];
+const IMPORT_FORMATS = ['json-resume'];
+
+// Formats that don't go through a LaTeX template
+const TEMPLATE_FREE_FORMATS = ['markdown', 'json-resume'];
+
+// Build a safe download name like "jane-doe-resume.tex"
+function buildFileName(resume, extension) {
+  const name = [resume.personalInfo?.firstName, resume.personalInfo?.lastName]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${name ? `${name}-` : ''}resume.${extension}`;
+}
+
+async function loadResumeData(userId) {
+  const [settings, user] = await Promise.all([
+    prisma.resumeSettings.findUnique({ where: { userId } }),
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { fullName: true, email: true }
+    })
+  ]);
+
+  if (!settings || settings.deletedAt) {
+    throw new NotFoundError('No saved resume found. Save a resume before exporting.');
+  }
+
+  return buildResumeData(settings, user);
+}
+
+// Export the stored resume as LaTeX source, a compiled PDF, Markdown or JSON Resume
+const exportResume = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const format = String(req.query.format || 'latex').toLowerCase();
+  const templateName = String(req.query.template || DEFAULT_TEMPLATE).toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new AppError(
+      ERROR_CODES.INVALID_FIELD,
+      `Unsupported export format: ${format}`,
+      400,
+      { supportedFormats: EXPORT_FORMATS }
+    );
+  }
+
+  if (!TEMPLATE_FREE_FORMATS.includes(format) && !getLatexTemplate(templateName)) {
+    throw new AppError(
+      ERROR_CODES.INVALID_FIELD,
+      `Unknown template: ${templateName}`,
+      400,
+      { templates: listLatexTemplates() }
+    );
+  }
+
+  const resume = await loadResumeData(userId);
+
+  console.log(`[RESUME_EXPORT] User: ${userId} - format: ${format}${TEMPLATE_FREE_FORMATS.includes(format) ? '' : `, template: ${templateName}`}`);
+
+  if (format === 'json-resume') {
+    res.setHeader('Content-Disposition', `attachment; filename=${buildFileName(resume, 'json')}`);
+    return res.status(200).json(toJsonResume(resume));
+  }
+
+  if (format === 'markdown') {
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${buildFileName(resume, 'md')}`);
+    return res.status(200).send(renderResumeMarkdown(resume));
+  }
+
+  const latex = renderResumeLatex(resume, templateName);
+
+  if (format === 'pdf') {
+    const pdf = await compileLatexToPdf(latex);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${buildFileName(resume, 'pdf')}`);
+    return res.status(200).send(pdf);
+  }
+
+  res.setHeader('Content-Type', 'application/x-tex; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=${buildFileName(resume, 'tex')}`);
+  return res.status(200).send(latex);
+});
+
+/**
+ * Replace the stored resume with an imported document.
+ * Accepts { format, data, label } or a bare JSON Resume document as the body.
+ */
+const importResume = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const body = req.body || {};
+  const wrapped = body.data !== undefined;
+  const format = String((wrapped ? body.format : req.query.format) || 'json-resume').toLowerCase();
+  const document = wrapped ? body.data : body;
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new AppError(
+      ERROR_CODES.INVALID_FIELD,
+      `Unsupported import format: ${format}`,
+      400,
+      { supportedFormats: IMPORT_FORMATS }
+    );
+  }
+
+  if (!isJsonResume(document)) {
+    throw new ValidationError('Request body is not a JSON Resume document (expected basics, work, education, skills or projects)');
+  }
+  const { valid, errors } = validateJsonResume(document);
+  if (!valid) {
+    throw new ValidationError('Invalid JSON Resume document', { errors });
+  }
+
+  // An import replaces the whole resume, so sections missing from the document are cleared
+  const sections = extractResumeSections({
+    personalInfo: {},
+    professionalSummary: '',
+    education: [],
+    experience: [],
+    skills: [],
+    projects: [],
+    customSections: [],
+    skillsLineTime: [],
+    sectionOrder: [],
+    sectionNames: {},
+    ...fromJsonResume(document)
+  });
+
+  console.log(`[RESUME_IMPORT] User: ${userId} - format: ${format}`);
+
+  const { settings, version, created } = await saveResumeSettings(userId, sections, {
+    label: wrapped && typeof body.label === 'string' ? body.label : 'Imported from JSON Resume',
+    source: 'import'
+  });
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { fullName: true, email: true }
+  });
+
+  return res.status(created ? 201 : 200).json({
+    success: true,
+    result: buildResumeData(settings, user),
+    hasResume: true,
+    version: {
+      id: version.id,
+      versionNumber: version.versionNumber,
+      label: version.label,
+      createdAt: version.createdAt
+    },
+    message: 'Resume imported successfully'
+  });
+});
+
+// List the available export templates
+const getExportTemplates = asyncHandler(async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    formats: EXPORT_FORMATS,
+    defaultTemplate: DEFAULT_TEMPLATE,
+    templates: listLatexTemplates()
+  });
+});
+
+module.exports = {
+  exportResume,
+  importResume,
+  getExportTemplates,
+  loadResumeData,
+  buildFileName
+};
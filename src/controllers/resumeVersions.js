@@ -0,0 +1,147 @@
+// src/controllers/resumeVersions.js
+const prisma = require('../utils/prismaClient');
+const { ValidationError, NotFoundError, asyncHandler } = require('../utils/errors');
+const { diffResumeSnapshots } = require('../utils/resumeHistory');
+const { pickResumeSections } = require('../utils/resumeSections');
+const { saveResumeSettings, buildResumeData, buildProfileData } = require('./resume');
+
+const VERSION_SUMMARY_SELECT = {
+  id: true,
+  versionNumber: true,
+  label: true,
+  source: true,
+  createdAt: true
+};
+
+async function findVersionOrThrow(userId, id) {
+  const version = await prisma.resumeVersion.findFirst({
+    where: { id, userId, deletedAt: null }
+  });
+
+  if (!version) {
+    throw new NotFoundError('Resume version not found');
+  }
+
+  return version;
+}
+
+// List all saved versions for the user (newest first, without snapshot payloads)
+const listResumeVersions = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+  const versions = await prisma.resumeVersion.findMany({
+    where: { userId, deletedAt: null },
+    orderBy: { versionNumber: 'desc' },
+    take: limit,
+    select: VERSION_SUMMARY_SELECT
+  });
+
+  return res.status(200).json({
+    success: true,
+    versions
+  });
+});
+
+// Fetch a single version including its snapshot
+const getResumeVersion = asyncHandler(async (req, res) => {
+  const version = await findVersionOrThrow(req.user.id, req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    version
+  });
+});
+
+// Restore a version by saving its snapshot as the current resume (creates a new version)
+const restoreResumeVersion = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const version = await findVersionOrThrow(userId, req.params.id);
+
+  console.log(`[RESUME_VERSIONS] Restoring version ${version.versionNumber} for user: ${userId}`);
+
+  const label = typeof req.body?.label === 'string' && req.body.label.trim()
+    ? req.body.label
+    : `Restored version ${version.versionNumber}`;
+
+  const { settings, version: restoredVersion } = await saveResumeSettings(
+    userId,
+    pickResumeSections(version.snapshot),
+    { label, source: 'restore' }
+  );
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { fullName: true, email: true }
+  });
+
+  return res.status(200).json({
+    success: true,
+    result: buildResumeData(settings, user),
+    hasResume: true,
+    profileData: buildProfileData(user),
+    restoredFrom: {
+      id: version.id,
+      versionNumber: version.versionNumber
+    },
+    version: {
+      id: restoredVersion.id,
+      versionNumber: restoredVersion.versionNumber,
+      label: restoredVersion.label,
+      createdAt: restoredVersion.createdAt
+    },
+    message: `Resume restored to version ${version.versionNumber}`
+  });
+});
+
+// Diff two versions; `to` may be "current" (or omitted) to compare against the live resume
+const diffResumeVersions = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { from, to } = req.query;
+
+  if (!from) {
+    throw new ValidationError('Query parameter "from" (version id) is required');
+  }
+
+  const fromVersion = await findVersionOrThrow(userId, from);
+
+  let toSummary;
+  let toSnapshot;
+  if (!to || to === 'current') {
+    const settings = await prisma.resumeSettings.findUnique({ where: { userId } });
+    if (!settings) {
+      throw new NotFoundError('No saved resume found');
+    }
+    toSummary = { id: 'current', updatedAt: settings.updatedAt };
+    toSnapshot = pickResumeSections(settings);
+  } else {
+    const toVersion = await findVersionOrThrow(userId, to);
+    toSummary = {
+      id: toVersion.id,
+      versionNumber: toVersion.versionNumber,
+      label: toVersion.label,
+      createdAt: toVersion.createdAt
+    };
+    toSnapshot = toVersion.snapshot;
+  }
+
+  const diff = diffResumeSnapshots(fromVersion.snapshot, toSnapshot);
+
+  return res.status(200).json({
+    success: true,
+    from: {
+      id: fromVersion.id,
+      versionNumber: fromVersion.versionNumber,
+      label: fromVersion.label,
+      createdAt: fromVersion.createdAt
+    },
+    to: toSummary,
+    ...diff
+  });
+});
+
+module.exports = {
+  listResumeVersions,
+  getResumeVersion,
+  restoreResumeVersion,
+  diffResumeVersions
+};
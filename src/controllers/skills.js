@@ -0,0 +1,47 @@
+// src/controllers/skills.js
+const { ValidationError, asyncHandler } = require('../utils/errors');
+const skillsDatabase = require('../utils/skillsDatabase');
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+// Autocomplete skills from the skills database (prefix + fuzzy)
+const searchSkills = asyncHandler(async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!query) {
+    throw new ValidationError('Query parameter q is required');
+  }
+
+  let limit = DEFAULT_SEARCH_LIMIT;
+  if (req.query.limit !== undefined) {
+    limit = Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError('limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_SEARCH_LIMIT);
+  }
+  const category = typeof req.query.category === 'string' && req.query.category.trim()
+    ? req.query.category.trim()
+    : null;
+
+  const results = skillsDatabase.searchSkills(query, { limit, category });
+
+  return res.status(200).json({
+    success: true,
+    query,
+    results
+  });
+});
+
+// List the skill categories known to the skills database
+const getSkillCategories = asyncHandler(async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    categories: skillsDatabase.listSkillCategories()
+  });
+});
+
+module.exports = {
+  searchSkills,
+  getSkillCategories
+};
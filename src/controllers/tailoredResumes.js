@@ -0,0 +1,354 @@
+// src/controllers/tailoredResumes.js
+const prisma = require('../utils/prismaClient');
+const { Prisma } = require('../../generated/prisma');
+const { ValidationError, NotFoundError, asyncHandler } = require('../utils/errors');
+const { validateAgainstSchema } = require('../utils/schemaValidator');
+const { getOrCreateLatestVersion } = require('../utils/resumeHistory');
+const { pickResumeSections } = require('../utils/resumeSections');
+const { buildResumeData } = require('./resume');
+const RESUME_SETTINGS_SCHEMA = require('../schemas/resumeSettings.json');
+
+// Sections a tailored resume may override on top of its base version
+const OVERRIDE_SECTIONS = ['professionalSummary', 'experience', 'skills'];
+
+function normalizeKey(value) {
+  return String(value || '').toLowerCase().trim();
+}
+
+/**
+ * Merge AI-enhanced experience bullets into the base experience entries.
+ * Entries are matched on company + position, falling back to position in the list,
+ * and keep the base description format (bullet string vs. array).
+ * @param {Array} baseExperience - Experience entries from the base resume
+ * @param {Array} enhancedExperience - `enhanced_experience` from the experience prompt
+ * @returns {Array}
+ */
+function mergeEnhancedExperience(baseExperience = [], enhancedExperience = []) {
+  if (!Array.isArray(baseExperience) || baseExperience.length === 0) {
+    return enhancedExperience;
+  }
+
+  return baseExperience.map((entry, index) => {
+    const match = enhancedExperience.find(enhanced =>
+      normalizeKey(enhanced.company) === normalizeKey(entry.company) &&
+      normalizeKey(enhanced.position) === normalizeKey(entry.position)
+    ) || enhancedExperience[index];
+
+    if (!match || match.description === undefined) {
+      return entry;
+    }
+
+    const bullets = Array.isArray(match.description) ? match.description : [match.description];
+    const description = typeof entry.description === 'string'
+      ? bullets.map(bullet => `• ${String(bullet).replace(/^[•\-\s]+/, '')}`).join('\n')
+      : bullets;
+
+    return { ...entry, description };
+  });
+}
+
+/**
+ * Apply a tailored resume's overrides on top of its base snapshot
+ * @param {Object} variant - TailoredResume row
+ * @param {Object} baseSnapshot - Resume sections of the base version
+ * @returns {Object} - Resume sections with overrides applied
+ */
+function resolveTailoredResume(variant, baseSnapshot) {
+  const resolved = { ...pickResumeSections(baseSnapshot) };
+  for (const section of OVERRIDE_SECTIONS) {
+    if (variant[section] !== null && variant[section] !== undefined) {
+      resolved[section] = variant[section];
+    }
+  }
+  return resolved;
+}
+
+function serializeVariant(variant) {
+  return {
+    id: variant.id,
+    name: variant.name,
+    appliedJobId: variant.appliedJobId,
+    appliedJob: variant.appliedJob ? {
+      id: variant.appliedJob.id,
+      title: variant.appliedJob.title,
+      company: variant.appliedJob.company,
+      url: variant.appliedJob.url,
+      status: variant.appliedJob.status,
+      appliedDate: variant.appliedJob.appliedDate
+    } : null,
+    baseVersionId: variant.baseVersionId,
+    baseVersionNumber: variant.baseVersion?.versionNumber ?? null,
+    source: variant.source,
+    jobDescription: variant.jobDescription,
+    overrides: OVERRIDE_SECTIONS.filter(section => variant[section] !== null && variant[section] !== undefined),
+    createdAt: variant.createdAt,
+    updatedAt: variant.updatedAt
+  };
+}
+
+const VARIANT_INCLUDE = {
+  appliedJob: true,
+  baseVersion: { select: { id: true, versionNumber: true, snapshot: true } }
+};
+
+async function findVariantOrThrow(userId, id) {
+  const variant = await prisma.tailoredResume.findFirst({
+    where: { id, userId, deletedAt: null },
+    include: VARIANT_INCLUDE
+  });
+
+  if (!variant) {
+    throw new NotFoundError('Tailored resume not found');
+  }
+
+  return variant;
+}
+
+async function assertAppliedJobOwnership(userId, appliedJobId) {
+  const job = await prisma.appliedJob.findFirst({
+    where: { id: appliedJobId, userId, deletedAt: null }
+  });
+
+  if (!job) {
+    throw new NotFoundError('Applied job not found');
+  }
+
+  return job;
+}
+
+/**
+ * Validate the writable fields of a tailored resume request body
+ * @param {Object} body
+ * @param {boolean} isCreate - Whether `name` is required
+ * @returns {Object} - Prisma data for the provided fields
+ */
+function extractVariantData(body, isCreate) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Tailored resume data must be a JSON object');
+  }
+
+  const data = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new ValidationError('Name must be a non-empty string');
+    }
+    data.name = body.name.trim().substring(0, 200);
+  } else if (isCreate) {
+    throw new ValidationError('Name is required');
+  }
+
+  if (body.appliedJobId !== undefined) {
+    if (body.appliedJobId !== null && typeof body.appliedJobId !== 'string') {
+      throw new ValidationError('appliedJobId must be a string or null');
+    }
+    data.appliedJobId = body.appliedJobId;
+  }
+
+  if (body.jobDescription !== undefined) {
+    if (body.jobDescription !== null && typeof body.jobDescription !== 'string') {
+      throw new ValidationError('jobDescription must be a string or null');
+    }
+    data.jobDescription = body.jobDescription;
+  }
+
+  const overrides = {};
+  for (const section of OVERRIDE_SECTIONS) {
+    if (body[section] !== undefined) {
+      overrides[section] = body[section];
+    }
+  }
+
+  const { valid, errors } = validateAgainstSchema(RESUME_SETTINGS_SCHEMA, overrides);
+  if (!valid) {
+    throw new ValidationError('Invalid tailored resume overrides', { errors });
+  }
+
+  // null clears an override so the base section is used again
+  for (const [section, value] of Object.entries(overrides)) {
+    data[section] = value === null && section !== 'professionalSummary' ? Prisma.DbNull : value;
+  }
+
+  return data;
+}
+
+/**
+ * Store AI-tailored experience bullets as the tailored resume for an applied job.
+ * Updates the existing experience-derived variant for the job if there is one.
+ * @returns {Promise<Object|null>} - The TailoredResume, or null when the user has no base resume
+ */
+async function saveExperienceVariant({ userId, appliedJobId, jobDescription, enhancedExperience }) {
+  const job = await assertAppliedJobOwnership(userId, appliedJobId);
+
+  return prisma.$transaction(async (tx) => {
+    const baseVersion = await getOrCreateLatestVersion(tx, userId);
+    if (!baseVersion) {
+      return null;
+    }
+
+    const experience = mergeEnhancedExperience(baseVersion.snapshot?.experience, enhancedExperience);
+    const existing = await tx.tailoredResume.findFirst({
+      where: { userId, appliedJobId, source: 'experience', deletedAt: null }
+    });
+
+    if (existing) {
+      return tx.tailoredResume.update({
+        where: { id: existing.id },
+        data: { experience, jobDescription, baseVersionId: baseVersion.id }
+      });
+    }
+
+    return tx.tailoredResume.create({
+      data: {
+        userId,
+        appliedJobId,
+        baseVersionId: baseVersion.id,
+        name: [job.title, job.company].filter(Boolean).join(' - ').substring(0, 200),
+        jobDescription,
+        source: 'experience',
+        experience
+      }
+    });
+  });
+}
+
+// List tailored resumes, optionally filtered by applied job
+const listTailoredResumes = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const where = { userId, deletedAt: null };
+
+  if (typeof req.query.appliedJobId === 'string' && req.query.appliedJobId) {
+    where.appliedJobId = req.query.appliedJobId;
+  }
+
+  const variants = await prisma.tailoredResume.findMany({
+    where,
+    orderBy: { updatedAt: 'desc' },
+    include: {
+      appliedJob: true,
+      baseVersion: { select: { versionNumber: true } }
+    }
+  });
+
+  return res.status(200).json({
+    success: true,
+    tailoredResumes: variants.map(serializeVariant)
+  });
+});
+
+// Create a tailored resume on top of the latest resume version
+const createTailoredResume = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const data = extractVariantData(req.body, true);
+
+  if (data.appliedJobId) {
+    await assertAppliedJobOwnership(userId, data.appliedJobId);
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    const baseVersion = await getOrCreateLatestVersion(tx, userId);
+    if (!baseVersion) {
+      throw new NotFoundError('No saved resume found. Save a resume before creating tailored versions.');
+    }
+
+    return tx.tailoredResume.create({
+      data: {
+        ...data,
+        userId,
+        baseVersionId: baseVersion.id
+      }
+    });
+  });
+
+  console.log(`[TAILORED_RESUMES] Created tailored resume ${created.id} for user: ${userId}`);
+
+  const variant = await findVariantOrThrow(userId, created.id);
+  return res.status(201).json({
+    success: true,
+    tailoredResume: serializeVariant(variant)
+  });
+});
+
+async function sendResolvedVariant(res, userId, variant) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { fullName: true, email: true }
+  });
+
+  return res.status(200).json({
+    success: true,
+    tailoredResume: serializeVariant(variant),
+    result: buildResumeData(resolveTailoredResume(variant, variant.baseVersion?.snapshot), user)
+  });
+}
+
+// Get a tailored resume with overrides applied to its base version
+const getTailoredResume = asyncHandler(async (req, res) => {
+  const variant = await findVariantOrThrow(req.user.id, req.params.id);
+  return sendResolvedVariant(res, req.user.id, variant);
+});
+
+// Update overrides, name or job link of a tailored resume
+const updateTailoredResume = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  await findVariantOrThrow(userId, req.params.id);
+  const data = extractVariantData(req.body, false);
+
+  if (data.appliedJobId) {
+    await assertAppliedJobOwnership(userId, data.appliedJobId);
+  }
+
+  await prisma.tailoredResume.update({
+    where: { id: req.params.id },
+    data
+  });
+
+  const variant = await findVariantOrThrow(userId, req.params.id);
+  return sendResolvedVariant(res, userId, variant);
+});
+
+// Soft-delete a tailored resume
+const deleteTailoredResume = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  await findVariantOrThrow(userId, req.params.id);
+
+  await prisma.tailoredResume.update({
+    where: { id: req.params.id },
+    data: { deletedAt: new Date() }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Tailored resume deleted'
+  });
+});
+
+// Get the resume that was sent for an applied job (most recently updated variant)
+const getAppliedJobResume = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  await assertAppliedJobOwnership(userId, req.params.id);
+
+  const variant = await prisma.tailoredResume.findFirst({
+    where: { userId, appliedJobId: req.params.id, deletedAt: null },
+    orderBy: { updatedAt: 'desc' },
+    include: VARIANT_INCLUDE
+  });
+
+  if (!variant) {
+    throw new NotFoundError('No tailored resume is linked to this applied job');
+  }
+
+  return sendResolvedVariant(res, userId, variant);
+});
+
+module.exports = {
+  listTailoredResumes,
+  createTailoredResume,
+  getTailoredResume,
+  updateTailoredResume,
+  deleteTailoredResume,
+  getAppliedJobResume,
+  saveExperienceVariant,
+  mergeEnhancedExperience,
+  resolveTailoredResume
+};
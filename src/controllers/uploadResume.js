@@ -1,33 +1,13 @@
 // src/controllers/uploadResume.js
-const path = require('path');
-const fs = require('fs');
-const { generateContentWithFallback } = require('../utils/geminiClient');
+const { generateStructuredContent, describeSchema } = require('../utils/structuredOutput');
 const { resumeParser } = require('../utils/prompts.json');
 const { ValidationError, asyncHandler } = require('../utils/errors');
 const { validateSkills } = require('./userSkills');
+const { extractResumeText } = require('../utils/resumeTextExtractor');
 const prisma = require('../utils/prismaClient');
 
 const SYSTEM_PROMPT = resumeParser;
-const EXPERIENCE_SCHEMA = fs.readFileSync(path.join(__dirname, '../schemas/experience.md'), 'utf8');
-const RESUME_SCHEMA = fs.readFileSync(path.join(__dirname, '../schemas/resume.md'), 'utf8');
-
-function extractJSONFromString(input) {
-  const jsonMatch = input.match(/```json\s*([\s\S]*?)\s*```/);
-
-  if (jsonMatch) {
-    try {
-      return JSON.parse(jsonMatch[1]);
-    } catch (err) {
-      throw new ValidationError("Found a JSON block, but it contained invalid JSON.");
-    }
-  }
-
-  try {
-    return JSON.parse(input);
-  } catch (err) {
-    throw new ValidationError("Could not find a valid JSON object in the model's response.");
-  }
-}
+const RESUME_SCHEMA = require('../schemas/resume.json');
 
 const uploadResume = asyncHandler(async (req, res) => {
   const startedAt = Date.now();
@@ -39,13 +19,26 @@ const uploadResume = asyncHandler(async (req, res) => {
     });
 
     let resumeText = '';
+    let source = null;
 
-    if (typeof req.body?.resumeText === 'string') {
+    if (req.file) {
+      // Uploaded file takes precedence over any text sent alongside it
+      const extracted = await extractResumeText(req.file);
+      resumeText = extracted.text;
+      source = { type: 'file', format: extracted.format, pages: extracted.pages, fileName: req.file.originalname };
+      console.log('[uploadResume] Extracted text from uploaded file', {
+        format: extracted.format,
+        pages: extracted.pages,
+        size: req.file.size,
+        length: resumeText.length,
+      });
+    } else if (typeof req.body?.resumeText === 'string') {
       resumeText = req.body.resumeText;
+      source = { type: 'text' };
       console.log('[uploadResume] Using resumeText from JSON body, length:', resumeText.length);
     } else {
-      console.warn('[uploadResume] No resumeText provided');
-      throw new ValidationError('No resume provided. Please provide resumeText.');
+      console.warn('[uploadResume] No resume file or resumeText provided');
+      throw new ValidationError('No resume provided. Please upload a resume file or provide resumeText.');
     }
 
     if (!resumeText || resumeText.trim().length === 0) {
@@ -53,18 +46,14 @@ const uploadResume = asyncHandler(async (req, res) => {
       throw new ValidationError('Empty resume text. Please provide valid resume content.');
     }
 
-    const fullPrompt = `${SYSTEM_PROMPT}\n Candidate resume: ${resumeText}\n Experience Schema: ${EXPERIENCE_SCHEMA} and arrange all information in this format Resume Schema: ${RESUME_SCHEMA}`;
+    const fullPrompt = `${SYSTEM_PROMPT}\n Candidate resume: ${resumeText}\n Arrange all information in this format. ${describeSchema(RESUME_SCHEMA)}`;
     console.log('[uploadResume] Prompt length:', fullPrompt.length);
 
-    const response = await generateContentWithFallback(fullPrompt, 'UPLOAD_RESUME');
-    const text = response.text();
-    console.log('[uploadResume] Model response length:', text?.length || 0);
-
-    const extractedResult = extractJSONFromString(text);
-    console.log('[uploadResume] Parsed result keys:', Object.keys(extractedResult || {}));
+    const { result: extractedResult, repaired } = await generateStructuredContent(fullPrompt, 'UPLOAD_RESUME', RESUME_SCHEMA, { llmCalls: req.llmCalls });
+    console.log('[uploadResume] Parsed result keys:', Object.keys(extractedResult), repaired ? '(repaired)' : '');
 
     // Save skills to UserSkills if user is authenticated and skills exist
-    if (req.user && extractedResult?.formatted_resume?.skills && Array.isArray(extractedResult.formatted_resume.skills)) {
+    if (req.user) {
       try {
         const userId = req.user.id;
         const userSkills = extractedResult.formatted_resume.skills;
@@ -89,7 +78,7 @@ const uploadResume = asyncHandler(async (req, res) => {
       }
     }
 
-    res.json({ success: true, result: extractedResult });
+    res.json({ success: true, result: extractedResult, source });
   } finally {
     console.log('[uploadResume] Completed in ms:', Date.now() - startedAt);
   }
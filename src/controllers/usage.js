@@ -1,57 +1,120 @@
 // src/controllers/usage.js
-const prisma = require('../utils/prismaClient');
-const { asyncHandler, AuthenticationError } = require('../utils/errors');
+const { findApiKey } = require('../utils/apiKeys');
+const { AppError, ERROR_CODES, asyncHandler, AuthenticationError, ValidationError } = require('../utils/errors');
+const { getQuotaStatus } = require('../utils/usageQuota');
+const { getTokenUsageReport } = require('../utils/tokenUsage');
+const { resolveTimeZone, resolveQuotaTimeZone, isDateKey, getDateKeyWindow } = require('../utils/timezone');
+const { getDailyGoalProgress } = require('../utils/dailyGoal');
+const { HISTORY_GROUP_BY, getUsageHistoryReport } = require('../utils/usageHistory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+
+// Usage is reported in quota units (see serviceCosts in quotaPlans.json)
+function formatUsage(quota) {
+  return {
+    plan: quota.plan,
+    timeZone: quota.timeZone,
+    today: quota.daily.used,
+    limit: quota.daily.limit,
+    remaining: quota.remaining,
+    exceeded: quota.exceeded,
+    resetAt: quota.resetAt,
+    month: quota.monthly,
+    bonusCredits: quota.bonusCredits
+  };
+}
 
 /**
  * Get daily API usage statistics for the authenticated user
- * Counts non-applied-jobs API calls made today
+ * Reports the plan quota enforced on Gemini-backed routes (in the quota timezone) and
+ * today's goalPerDay progress (in the display timezone)
  */
 const getDailyUsage = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const startOfDay = new Date();
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date();
-  endOfDay.setHours(23, 59, 59, 999);
-
-  // Count API calls made today (excluding applied-jobs endpoints)
-  // These are the calls that use Gemini API
-  const todayUsage = await prisma.auditLog.count({
-    where: {
-      userId,
-      createdAt: {
-        gte: startOfDay,
-        lte: endOfDay
-      },
-      deletedAt: null,
-      path: {
-        not: {
-          contains: 'applied-jobs'
-        }
-      },
-      path: {
-        startsWith: '/api/'
-      }
-    }
+  const [quota, goal] = await Promise.all([
+    getQuotaStatus(req.user, { timeZone: resolveQuotaTimeZone(req.user) }),
+    getDailyGoalProgress(req.user, resolveTimeZone(req))
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    usage: formatUsage(quota),
+    goal
   });
+});
 
-  // Daily limit for free tier Gemini API calls
-  const dailyLimit = 20;
-  const remaining = Math.max(0, dailyLimit - todayUsage);
+// Dates may be full ISO timestamps or YYYY-MM-DD, which is read as a calendar day in the user's timezone
+function parseDateParam(value, name, timeZone, edge) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (isDateKey(value)) {
+    return getDateKeyWindow(value, timeZone)[edge];
+  }
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+// Report range from ?from=&to= (a "to" timestamp is exclusive, a "to" date is included); defaults to the last 30 days
+function parseReportRange(query, timeZone) {
+  const end = parseDateParam(query.to, 'to', timeZone, 'end') || new Date();
+  const start = parseDateParam(query.from, 'from', timeZone, 'start') || new Date(end.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+  if (start >= end) {
+    throw new ValidationError('from must be before to');
+  }
+  if (end - start > MAX_REPORT_DAYS * DAY_MS) {
+    throw new ValidationError(`Date range cannot exceed ${MAX_REPORT_DAYS} days`);
+  }
+  return { start, end };
+}
+
+/**
+ * Get LLM token usage and estimated cost for the authenticated user, by day and by service
+ */
+const getTokenUsage = asyncHandler(async (req, res) => {
+  const timeZone = resolveTimeZone(req);
+  const report = await getTokenUsageReport(req.user.id, parseReportRange(req.query, timeZone), { timeZone });
 
   return res.status(200).json({
     success: true,
-    usage: {
-      today: todayUsage,
-      limit: dailyLimit,
-      remaining: remaining,
-      exceeded: todayUsage >= dailyLimit
-    }
+    usage: report
+  });
+});
+
+/**
+ * Get request history for the authenticated user from the audit log
+ * Query: from, to, groupBy=day|week|service (default day), service (comma-separated filter)
+ */
+const getUsageHistory = asyncHandler(async (req, res) => {
+  const timeZone = resolveTimeZone(req);
+  const groupBy = String(req.query.groupBy || 'day').toLowerCase();
+  if (!HISTORY_GROUP_BY.includes(groupBy)) {
+    throw new ValidationError(`groupBy must be one of: ${HISTORY_GROUP_BY.join(', ')}`);
+  }
+  const services = typeof req.query.service === 'string' && req.query.service.trim()
+    ? req.query.service.split(',').map(service => service.trim().toUpperCase()).filter(Boolean)
+    : null;
+
+  const history = await getUsageHistoryReport(req.user.id, parseReportRange(req.query, timeZone), {
+    groupBy,
+    timeZone,
+    services
+  });
+
+  return res.status(200).json({
+    success: true,
+    history
   });
 });
 
 /**
  * Get daily API usage for a specific API key (public endpoint)
  * Does not require authentication - just API key in header
+ * The account email is only included with ?includeEmail=true
  */
 const getDailyUsageByApiKey = asyncHandler(async (req, res) => {
   const apiKey = req.headers['x-api-key'];
@@ -61,63 +124,40 @@ const getDailyUsageByApiKey = asyncHandler(async (req, res) => {
   }
 
   // Find the API key and user
-  const apiKeyRecord = await prisma.apiKey.findUnique({
-    where: { key: apiKey.trim() },
-    include: { user: true }
-  });
+  const apiKeyRecord = await findApiKey(apiKey.trim(), { include: { user: true } });
 
   if (!apiKeyRecord || !apiKeyRecord.user) {
     throw new AuthenticationError('Invalid API key');
   }
 
+  // Revoked and expired keys don't reveal anything about the account
+  if (!apiKeyRecord.isActive || apiKeyRecord.deletedAt) {
+    throw new AppError(ERROR_CODES.API_KEY_INACTIVE, 'API key is inactive', 403);
+  }
+  if (apiKeyRecord.expiresAt && apiKeyRecord.expiresAt <= new Date()) {
+    throw new AppError(ERROR_CODES.API_KEY_EXPIRED, 'API key has expired', 401);
+  }
+
   const userId = apiKeyRecord.userId;
-  const startOfDay = new Date();
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date();
-  endOfDay.setHours(23, 59, 59, 999);
-
-  // Count API calls made today (excluding applied-jobs endpoints)
-  // These are the calls that use Gemini API (keywords, coverletter, chat, experience, hr-lookup)
-  const todayUsage = await prisma.auditLog.count({
-    where: {
-      userId,
-      createdAt: {
-        gte: startOfDay,
-        lte: endOfDay
-      },
-      deletedAt: null,
-      path: {
-        not: {
-          contains: 'applied-jobs'
-        }
-      },
-      path: {
-        startsWith: '/api/'
-      }
-    }
+  const quota = await getQuotaStatus(apiKeyRecord.user, {
+    timeZone: resolveQuotaTimeZone(apiKeyRecord.user)
   });
-
-  // Daily limit for free tier Gemini API calls
-  const dailyLimit = 20;
-  const remaining = Math.max(0, dailyLimit - todayUsage);
+  const includeEmail = String(req.query.includeEmail).toLowerCase() === 'true';
 
   return res.status(200).json({
     success: true,
-    usage: {
-      today: todayUsage,
-      limit: dailyLimit,
-      remaining: remaining,
-      exceeded: todayUsage >= dailyLimit
-    },
+    usage: formatUsage(quota),
     apiKey: {
       name: apiKeyRecord.name,
       userId: userId,
-      userEmail: apiKeyRecord.user.email
+      ...(includeEmail ? { userEmail: apiKeyRecord.user.email } : {})
     }
   });
 });
 
 module.exports = {
   getDailyUsage,
+  getTokenUsage,
+  getUsageHistory,
   getDailyUsageByApiKey
 };
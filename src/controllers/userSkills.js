@@ -1,72 +1,7 @@
 // src/controllers/userSkills.js
 const prisma = require('../utils/prismaClient');
 const { asyncHandler, ValidationError } = require('../utils/errors');
-const path = require('path');
-const fs = require('fs');
-
-// Load skills database for validation
-let skillsDatabase = null;
-let skillsNormalizedMap = null;
-
-function normalizeForMatching(skill) {
-  return skill.toLowerCase().trim().replace(/[^a-z0-9]/g, '');
-}
-
-function loadSkillsDatabaseSync() {
-  if (skillsDatabase && skillsNormalizedMap) {
-    return; // Already loaded
-  }
-  
-  try {
-    const textFilePath = path.resolve(__dirname, '../utils/skills.txt');
-    const jsonFilePath = path.resolve(__dirname, '../utils/skillsDatabase.json');
-    
-    let allSkills = [];
-    
-    // Try text file first (17k skills)
-    if (fs.existsSync(textFilePath)) {
-      const fileContent = fs.readFileSync(textFilePath, 'utf8');
-      const lines = fileContent.split('\n');
-      
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (trimmed && !trimmed.startsWith('#')) {
-          allSkills.push({
-            name: trimmed,
-            normalized: normalizeForMatching(trimmed)
-          });
-        }
-      }
-    } else if (fs.existsSync(jsonFilePath)) {
-      // Fallback to JSON format
-      const skillsData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
-      
-      for (const [category, skills] of Object.entries(skillsData)) {
-        for (const skill of skills) {
-          allSkills.push({
-            name: skill,
-            normalized: normalizeForMatching(skill)
-          });
-        }
-      }
-    }
-    
-    skillsDatabase = allSkills;
-    
-    // Create fast O(1) lookup map
-    skillsNormalizedMap = new Map();
-    for (const skill of allSkills) {
-      skillsNormalizedMap.set(skill.normalized, skill.name);
-    }
-    
-    console.log(`[UserSkills] Loaded ${allSkills.length} skills for validation`);
-  } catch (error) {
-    console.error('[UserSkills] Error loading skills database:', error);
-    // Continue without validation if database can't be loaded
-    skillsDatabase = [];
-    skillsNormalizedMap = new Map();
-  }
-}
+const { normalizeForMatching, findCanonicalSkill, groupSkillsByCategory } = require('../utils/skillsDatabase');
 
 // Validate skills against database
 function validateSkills(userSkills) {
@@ -74,8 +9,6 @@ function validateSkills(userSkills) {
     return [];
   }
   
-  loadSkillsDatabaseSync();
-  
   const validatedSkills = [];
   const seen = new Set();
   
@@ -85,8 +18,8 @@ function validateSkills(userSkills) {
     const normalized = normalizeForMatching(skill);
     
     // Check exact match
-    if (skillsNormalizedMap.has(normalized)) {
-      const canonicalSkill = skillsNormalizedMap.get(normalized);
+    const canonicalSkill = findCanonicalSkill(skill);
+    if (canonicalSkill) {
       if (!seen.has(normalized)) {
         validatedSkills.push(canonicalSkill);
         seen.add(normalized);
@@ -172,8 +105,58 @@ const getUserSkills = asyncHandler(async (req, res) => {
   });
 });
 
+// Group the user's saved skills under skills database categories (skillsLineTime shape)
+const getGroupedUserSkills = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const userSkills = await prisma.userSkills.findUnique({
+    where: { userId }
+  });
+  const skills = userSkills && Array.isArray(userSkills.skills) ? userSkills.skills : [];
+
+  res.json({
+    success: true,
+    result: {
+      skills,
+      skillsLineTime: groupSkillsByCategory(skills)
+    }
+  });
+});
+
+// Replace the user's skillsLineTime with the category grouping and switch to the lineTime display mode
+const applyGroupedUserSkills = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const userSkills = await prisma.userSkills.findUnique({
+    where: { userId }
+  });
+  if (!userSkills || !Array.isArray(userSkills.skills) || userSkills.skills.length === 0) {
+    throw new ValidationError('No saved skills to group. Save skills first.');
+  }
+
+  const updated = await prisma.userSkills.update({
+    where: { userId },
+    data: {
+      skillsDisplayMode: 'lineTime',
+      skillsLineTime: groupSkillsByCategory(userSkills.skills),
+      updatedAt: new Date()
+    }
+  });
+
+  res.json({
+    success: true,
+    result: {
+      skills: updated.skills,
+      skillsDisplayMode: updated.skillsDisplayMode,
+      skillsLineTime: updated.skillsLineTime
+    }
+  });
+});
+
 module.exports = {
   saveUserSkills,
   getUserSkills,
+  getGroupedUserSkills,
+  applyGroupedUserSkills,
   validateSkills
 };
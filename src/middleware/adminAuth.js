@@ -0,0 +1,38 @@
+// src/middleware/adminAuth.js
+const prisma = require('../utils/prismaClient');
+const { AppError, ERROR_CODES, sendErrorResponse } = require('../utils/errors');
+
+/**
+ * Require the authenticated user to also be an admin or mentor on the platform.
+ * Platform staff live in AdminMentor; they are matched to the API key's user by email.
+ * Sets req.adminMentor. Must run after authenticateApiKey.
+ * @param {Object} [options]
+ * @param {boolean} [options.adminOnly=false] - Reject mentors that are not admins
+ * @returns {Function} Express middleware
+ */
+function requireAdminMentor({ adminOnly = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const adminMentor = await prisma.adminMentor.findUnique({
+        where: { email: req.user.email }
+      });
+
+      const isStaff = adminMentor && !adminMentor.deletedAt && (adminMentor.isAdmin || adminMentor.verifiedByAdmin);
+      if (!isStaff || (adminOnly && !adminMentor.isAdmin)) {
+        console.log(`[ADMIN_AUTH] ${req.method} ${req.path} - Forbidden for user: ${req.user.email}`);
+        throw new AppError(
+          ERROR_CODES.FORBIDDEN,
+          adminOnly ? 'Admin access required' : 'Admin or mentor access required',
+          403
+        );
+      }
+
+      req.adminMentor = adminMentor;
+      next();
+    } catch (error) {
+      return sendErrorResponse(res, error);
+    }
+  };
+}
+
+module.exports = { requireAdminMentor };
@@ -74,6 +74,7 @@ function extractServiceName(path) {
       'coverletter': 'COVER_LETTER',
       'experience': 'EXPERIENCE',
       'keywords': 'KEYWORDS',
+      'ats-score': 'ATS_SCORE',
       'upload-resume': 'UPLOAD_RESUME',
       'hr-lookup': 'HR_LOOKUP',
       'applied-jobs': 'APPLIED_JOBS',
@@ -95,7 +96,14 @@ async function createAuditLog(logData) {
   try {
     // Do not persist userEmail in the database (field does not exist on AuditLog model)
     // but allow it to exist on logData for Slack notifications.
-    const { userEmail, ...dbData } = logData;
+    const { userEmail, llmCalls, ...dbData } = logData;
+
+    // LLM calls made while serving the request are stored alongside the audit entry
+    if (llmCalls && llmCalls.length) {
+      dbData.llmUsages = {
+        create: llmCalls.map(call => ({ ...call, userId: logData.userId, service: logData.service }))
+      };
+    }
 
     await prisma.auditLog.create({
       data: dbData
@@ -117,6 +125,9 @@ async function createAuditLog(logData) {
 function auditLogMiddleware(req, res, next) {
   const startTime = Date.now();
   const requestId = req.headers['x-request-id'] || `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  // Filled by generateContentWithFallback, persisted as LlmUsage rows with the audit entry
+  req.llmCalls = [];
   
   // Store original response methods
   const originalSend = res.send.bind(res);
@@ -219,7 +230,8 @@ function auditLogMiddleware(req, res, next) {
       requestHeaders: sanitizedHeaders,
       responseTime: responseTime,
       ipAddress: req.ip || req.connection?.remoteAddress || req.headers['x-forwarded-for'] || null,
-      userAgent: req.get('user-agent') || null
+      userAgent: req.get('user-agent') || null,
+      llmCalls: req.llmCalls
     };
     
     // Create audit log asynchronously (non-blocking)
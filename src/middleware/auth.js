@@ -1,13 +1,76 @@
 // src/middleware/auth.js
 const prisma = require('../utils/prismaClient');
+const { findApiKey, hasScope } = require('../utils/apiKeys');
+const { verifyFirebaseIdToken, getBearerToken } = require('../utils/firebaseAuth');
+const { getCachedApiKey, cacheApiKey, markApiKeyUsed } = require('../utils/authCache');
 
-const { AuthenticationError, DatabaseError, sendErrorResponse, normalizeError } = require('../utils/errors');
+const { AuthenticationError, DatabaseError, AppError, ERROR_CODES, sendErrorResponse, normalizeError } = require('../utils/errors');
 
+/**
+ * Authenticate with a Firebase ID token (`Authorization: Bearer <token>`), e.g. from the web dashboard.
+ * The token's uid is mapped to a User through User.firebaseUid. Token sessions are not limited by API key scopes.
+ */
+const authenticateFirebaseToken = async (req, res, next, token, startTime) => {
+  try {
+    const claims = await verifyFirebaseIdToken(token);
+
+    const user = await prisma.user.findUnique({
+      where: { firebaseUid: claims.sub }
+    });
+
+    if (!user) {
+      const duration = Date.now() - startTime;
+      console.log(`[AUTH] ${req.method} ${req.path} - No user for Firebase uid: ${claims.sub} (${duration}ms)`);
+      return res.status(401).json({ success: false, message: 'No account found for this Firebase user' });
+    }
+
+    if (user.deletedAt) {
+      const duration = Date.now() - startTime;
+      console.log(`[AUTH] ${req.method} ${req.path} - User deleted: ${user.email} (${duration}ms)`);
+      return res.status(403).json({
+        success: false,
+        errorCode: 'USER_DELETED',
+        message: 'Your account has been deleted. Please contact support for assistance.'
+      });
+    }
+
+    if (!user.verifiedByAdmin) {
+      const duration = Date.now() - startTime;
+      console.log(`[AUTH] ${req.method} ${req.path} - User not verified: ${user.email} (${duration}ms)`);
+      return res.status(403).json({
+        success: false,
+        errorCode: 'USER_NOT_VERIFIED',
+        message: 'Your account is pending verification. Please wait for admin approval before using the extension.'
+      });
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`[AUTH] ${req.method} ${req.path} - Firebase authentication successful for user: ${user.email} (${duration}ms)`);
+
+    req.user = user;
+    req.apiKey = null;
+    req.authMethod = 'firebase';
+    next();
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.log(`[AUTH] ${req.method} ${req.path} - Firebase token rejected (${duration}ms): ${error.message}`);
+    return sendErrorResponse(res, error);
+  }
+};
+
+/**
+ * Authenticate with the x-api-key header, or a Firebase ID token when no API key is sent
+ */
 const authenticateApiKey = async (req, res, next) => {
   const startTime = Date.now();
   const apiKey = req.headers['x-api-key'];
   
   console.log(`[AUTH] ${req.method} ${req.path} - Starting authentication`);
+
+  const bearerToken = !apiKey ? getBearerToken(req) : null;
+  if (bearerToken) {
+    return authenticateFirebaseToken(req, res, next, bearerToken, startTime);
+  }
   
   try {
     if (!apiKey) {
@@ -21,15 +84,10 @@ const authenticateApiKey = async (req, res, next) => {
     
     console.log(`[AUTH] ${req.method} ${req.path} - Looking up API key: ${trimmedApiKey.substring(0, 8)}... (length: ${trimmedApiKey.length})`);
     
-    // Query ApiKey model using 'key' field
-    const apiKeyRecord = await prisma.apiKey.findUnique({
-      where: { 
-        key: trimmedApiKey 
-      },
-      include: {
-        user: true
-      }
-    });
+    // Recently authenticated keys come from the auth cache; otherwise look up by prefix and
+    // compare hashes (legacy plaintext keys are migrated on first use)
+    const cachedRecord = getCachedApiKey(trimmedApiKey);
+    const apiKeyRecord = cachedRecord || await findApiKey(trimmedApiKey, { include: { user: true } });
 
     if (!apiKeyRecord) {
       const duration = Date.now() - startTime;
@@ -64,6 +122,17 @@ const authenticateApiKey = async (req, res, next) => {
       return res.status(403).json({ success: false, message: 'API key is inactive' });
     }
 
+    // Check if API key has expired (e.g. the grace period after a rotation has ended)
+    if (apiKeyRecord.expiresAt && apiKeyRecord.expiresAt <= new Date()) {
+      const duration = Date.now() - startTime;
+      console.log(`[AUTH] ${req.method} ${req.path} - API key expired for user: ${apiKeyRecord.user.email} (${duration}ms)`);
+      return res.status(401).json({
+        success: false,
+        errorCode: 'API_KEY_EXPIRED',
+        message: 'API key has expired'
+      });
+    }
+
     // Check if user is deleted
     if (apiKeyRecord.user.deletedAt) {
       const duration = Date.now() - startTime;
@@ -86,21 +155,19 @@ const authenticateApiKey = async (req, res, next) => {
       });
     }
 
-    // Update lastUsedAt (non-blocking - don't fail auth if this fails)
-    try {
-      await prisma.apiKey.update({
-        where: { id: apiKeyRecord.id },
-        data: { lastUsedAt: new Date() }
-      });
-    } catch (updateError) {
-      // Log but don't fail authentication if lastUsedAt update fails
-      console.warn(`[AUTH] Failed to update lastUsedAt for API key ${apiKeyRecord.id}:`, updateError.message);
+    // lastUsedAt is written in periodic batches
+    markApiKeyUsed(apiKeyRecord.id);
+    if (!cachedRecord) {
+      cacheApiKey(trimmedApiKey, apiKeyRecord);
     }
 
     const duration = Date.now() - startTime;
     console.log(`[AUTH] ${req.method} ${req.path} - Authentication successful for user: ${apiKeyRecord.user.email} (${duration}ms)`);
 
-    req.user = apiKeyRecord.user;
+    const { user, ...keyRecord } = apiKeyRecord;
+    req.user = user;
+    req.apiKey = keyRecord;
+    req.authMethod = 'apiKey';
     next();
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -118,4 +185,26 @@ const authenticateApiKey = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateApiKey };
\ No newline at end of file
+/**
+ * Require the request's API key to carry a scope (see API_KEY_SCOPES in utils/apiKeys.js).
+ * Firebase token sessions act as the user themselves and pass every scope check.
+ * Must run after authenticateApiKey.
+ * @param {string} scope - e.g. 'jobs:write'
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  const scopes = req.apiKey?.scopes;
+  if (req.authMethod === 'firebase' || hasScope(scopes, scope)) {
+    return next();
+  }
+
+  console.log(`[AUTH] ${req.method} ${req.path} - API key ${req.apiKey?.id} is missing scope: ${scope}`);
+  return sendErrorResponse(res, new AppError(
+    ERROR_CODES.FORBIDDEN,
+    `API key is missing the required scope: ${scope}`,
+    403,
+    { requiredScope: scope, scopes: scopes || [] }
+  ));
+};
+
+module.exports = { authenticateApiKey, requireScope };
\ No newline at end of file
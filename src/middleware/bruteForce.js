@@ -0,0 +1,139 @@
+// src/middleware/bruteForce.js
+const prisma = require('../utils/prismaClient');
+const { RateLimitError, ERROR_CODES, sendErrorResponse } = require('../utils/errors');
+const { getKeyPrefix } = require('../utils/apiKeys');
+
+/**
+ * Brute-force protection for the public endpoints that take an API key without authentication
+ * (/auth/validate, /usage). Failed lookups (missing or unknown key) are counted per IP; after MAX_FAILURES within
+ * FAILURE_WINDOW_MS the IP is locked out, for twice as long on every repeat (up to MAX_LOCKOUT_MS).
+ * Each lockout is written to the audit log as API_KEY_ENUMERATION with the number of distinct
+ * keys tried. State is kept in memory per process.
+ */
+
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+// Lockout level is forgotten after this long without failures
+const LOCKOUT_DECAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TRACKED_PREFIXES = 50;
+
+// Error codes of a missing or unknown key. Inactive (403) and expired (401 API_KEY_EXPIRED)
+// keys exist, so those responses aren't enumeration.
+const FAILED_LOOKUP_CODES = new Set([
+  ERROR_CODES.MISSING_API_KEY,
+  ERROR_CODES.INVALID_API_KEY,
+  ERROR_CODES.AUTH_ERROR
+]);
+
+const attempts = new Map();
+
+const sweepTimer = setInterval(() => {
+  const cutoff = Date.now() - LOCKOUT_DECAY_MS;
+  for (const [ip, state] of attempts) {
+    if (state.lastFailureAt < cutoff && state.lockedUntil < Date.now()) {
+      attempts.delete(ip);
+    }
+  }
+}, FAILURE_WINDOW_MS);
+sweepTimer.unref();
+
+function getState(ip, now) {
+  let state = attempts.get(ip);
+  if (!state || now - state.lastFailureAt > LOCKOUT_DECAY_MS) {
+    state = { failures: 0, windowStart: now, lastFailureAt: now, lockouts: 0, lockedUntil: 0, keyPrefixes: new Set() };
+    attempts.set(ip, state);
+  }
+  if (now - state.windowStart > FAILURE_WINDOW_MS) {
+    state.failures = 0;
+    state.windowStart = now;
+    state.keyPrefixes.clear();
+  }
+  return state;
+}
+
+// Suspicious pattern entry in the audit trail (no user: the keys tried didn't match one)
+async function logEnumerationAttempt(req, ip, state, lockoutMs) {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        userId: null,
+        service: 'AUTH',
+        method: req.method,
+        path: req.path,
+        statusCode: 429,
+        errorCode: 'API_KEY_ENUMERATION',
+        errorMessage: `${MAX_FAILURES} failed API key attempts from ${ip}; locked out for ${Math.round(lockoutMs / 1000)}s`,
+        requestBody: {
+          failedAttempts: state.failures,
+          distinctKeysTried: state.keyPrefixes.size,
+          lockoutNumber: state.lockouts,
+          lockoutSeconds: Math.round(lockoutMs / 1000)
+        },
+        responseTime: 0,
+        ipAddress: ip,
+        userAgent: req.get('user-agent') || null
+      }
+    });
+  } catch (error) {
+    console.error('[BRUTE_FORCE] Failed to write enumeration audit entry:', error.message);
+  }
+}
+
+function recordFailure(req, ip, apiKey) {
+  const now = Date.now();
+  const state = getState(ip, now);
+  state.failures += 1;
+  state.lastFailureAt = now;
+  if (apiKey && state.keyPrefixes.size < MAX_TRACKED_PREFIXES) {
+    state.keyPrefixes.add(getKeyPrefix(apiKey));
+  }
+
+  if (state.failures >= MAX_FAILURES) {
+    state.lockouts += 1;
+    const lockoutMs = Math.min(BASE_LOCKOUT_MS * 2 ** (state.lockouts - 1), MAX_LOCKOUT_MS);
+    state.lockedUntil = now + lockoutMs;
+    console.warn(`[BRUTE_FORCE] ${req.method} ${req.path} - Locking out ${ip} for ${Math.round(lockoutMs / 1000)}s after ${state.failures} failed API key attempts (${state.keyPrefixes.size} distinct keys)`);
+    logEnumerationAttempt(req, ip, state, lockoutMs);
+    state.failures = 0;
+    state.windowStart = now;
+    state.keyPrefixes.clear();
+  }
+}
+
+/**
+ * Lock out IPs that keep sending invalid API keys to a public endpoint
+ * @returns {Function} Express middleware
+ */
+function protectKeyLookup() {
+  return (req, res, next) => {
+    const ip = req.ip;
+    const state = attempts.get(ip);
+
+    if (state && state.lockedUntil > Date.now()) {
+      const retryAfter = Math.ceil((state.lockedUntil - Date.now()) / 1000);
+      res.setHeader('Retry-After', String(retryAfter));
+      return sendErrorResponse(res, new RateLimitError('Too many invalid API key attempts. Please try again later.', {
+        retryAfter
+      }));
+    }
+
+    // Keep the error code of the response so the finish handler can tell why the lookup failed
+    let errorCode = null;
+    const json = res.json.bind(res);
+    res.json = body => {
+      errorCode = body?.errorCode || null;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode === 401 && FAILED_LOOKUP_CODES.has(errorCode)) {
+        recordFailure(req, ip, req.headers['x-api-key']?.trim());
+      }
+    });
+    next();
+  };
+}
+
+module.exports = { protectKeyLookup };
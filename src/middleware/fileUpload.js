@@ -1,17 +1,43 @@
 // src/middleware/fileUpload.js
+const path = require('path');
 const multer = require('multer');
 const { AppError, ERROR_CODES } = require('../utils/errors');
 
+// Resume formats accepted by the upload pipeline, keyed by file extension
+const ALLOWED_RESUME_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.txt': ['text/plain'],
+  '.md': ['text/markdown', 'text/x-markdown', 'text/plain'],
+  '.markdown': ['text/markdown', 'text/x-markdown', 'text/plain']
+};
+
+// Browsers and some OSes report these for files they don't recognize; the extension decides
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'binary/octet-stream', ''];
+
+function isAllowedResumeFile(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const mimetype = (file.mimetype || '').toLowerCase();
+
+  if (ALLOWED_RESUME_TYPES[extension]) {
+    return ALLOWED_RESUME_TYPES[extension].includes(mimetype) || GENERIC_MIME_TYPES.includes(mimetype);
+  }
+
+  // No usable extension: fall back to the declared MIME type
+  return !extension && Object.values(ALLOWED_RESUME_TYPES).some(types => types.includes(mimetype));
+}
+
 const fileUploadConfig = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    // The declared type is only a first pass; contents are sniffed again during text extraction
+    if (isAllowedResumeFile(file)) {
       cb(null, true);
     } else {
       const error = new AppError(
         ERROR_CODES.INVALID_FILE_TYPE,
-        'Only PDF files are allowed',
+        'Unsupported file type. Please upload a PDF, DOCX, TXT or Markdown file.',
         400
       );
       cb(error, false);
@@ -21,4 +47,4 @@ const fileUploadConfig = multer({
 
 const handleFileUpload = fileUploadConfig.single('resume');
 
-module.exports = { handleFileUpload };
+module.exports = { handleFileUpload, ALLOWED_RESUME_TYPES };
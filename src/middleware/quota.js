@@ -0,0 +1,83 @@
+// src/middleware/quota.js
+const { QuotaError, sendErrorResponse } = require('../utils/errors');
+const { consumeQuota, refundQuota } = require('../utils/usageQuota');
+const { resolveQuotaTimeZone } = require('../utils/timezone');
+
+function setQuotaHeaders(res, status) {
+  res.setHeader('X-Quota-Plan', status.plan.name);
+  res.setHeader('X-Quota-Limit', String(status.daily.limit));
+  res.setHeader('X-Quota-Remaining', String(status.remaining));
+  res.setHeader('X-Quota-Monthly-Remaining', String(status.monthly.remaining));
+  res.setHeader('X-Quota-Bonus-Remaining', String(status.bonusCredits));
+  res.setHeader('X-Quota-Cost', String(status.cost));
+  res.setHeader('X-Quota-Reset', String(Math.ceil(status.resetAt.getTime() / 1000)));
+}
+
+/**
+ * Enforce the user's AI quota in front of a Gemini-backed route.
+ * Quota is reserved before the handler runs and refunded if the request fails or is aborted.
+ * Must run after authenticateApiKey (needs req.user).
+ * @param {Object} options
+ * @param {string} options.service - AuditLog service name, selects the cost weight (e.g. UPLOAD_RESUME)
+ * @param {Function} [options.skip] - (req) => boolean; requests that don't use the AI quota
+ * @returns {Function} Express middleware
+ */
+function enforceAiQuota({ service, skip = null }) {
+  return async (req, res, next) => {
+    if (skip && skip(req)) {
+      return next();
+    }
+
+    try {
+      const userId = req.user.id;
+      const { allowed, status, reservation } = await consumeQuota(req.user, service, { timeZone: resolveQuotaTimeZone(req.user) });
+      setQuotaHeaders(res, status);
+
+      if (!allowed) {
+        const retryAfter = Math.max(1, Math.ceil((status.resetAt.getTime() - Date.now()) / 1000));
+        const window = status.monthly.remaining < status.cost ? 'monthly' : 'daily';
+        res.setHeader('Retry-After', String(retryAfter));
+        console.log(`[QUOTA] ${req.method} ${req.path} - ${window} limit reached for user: ${userId} (plan: ${status.plan.name}, cost: ${status.cost})`);
+        throw new QuotaError(`Your ${status.plan.label} plan's ${window} AI usage limit has been reached. Try again after the limit resets.`, {
+          plan: status.plan.name,
+          window,
+          cost: status.cost,
+          daily: status.daily,
+          monthly: status.monthly,
+          bonusCredits: status.bonusCredits,
+          resetAt: status.resetAt.toISOString(),
+          retryAfter
+        });
+      }
+
+      // Failed calls and requests the client aborted before the response was sent
+      // don't count against the quota
+      let refunded = false;
+      const refund = () => {
+        if (!refunded) {
+          refunded = true;
+          refundQuota(reservation);
+        }
+      };
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          refund();
+        }
+      });
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          refund();
+        }
+      });
+
+      next();
+    } catch (error) {
+      if (!(error instanceof QuotaError)) {
+        console.error(`[QUOTA] ${req.method} ${req.path} - Quota check failed:`, error.message);
+      }
+      return sendErrorResponse(res, error);
+    }
+  };
+}
+
+module.exports = { enforceAiQuota };
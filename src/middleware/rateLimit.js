@@ -0,0 +1,76 @@
+// src/middleware/rateLimit.js
+const { RateLimitError, sendErrorResponse } = require('../utils/errors');
+const { MemoryRateLimitStore } = require('../utils/rateLimitStore');
+const RATE_LIMITS = require('../utils/rateLimits.json');
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Replace the bucket store (see utils/rateLimitStore.js for the interface)
+ * @param {Object} newStore
+ */
+function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+function getLimit(name) {
+  return RATE_LIMITS.routes[name] || RATE_LIMITS.default;
+}
+
+// Authenticated requests are limited per API key (or per user for Firebase sessions), others per IP
+function getClientId(req) {
+  if (req.apiKey?.id) {
+    return `key:${req.apiKey.id}`;
+  }
+  if (req.user?.id) {
+    return `user:${req.user.id}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Token bucket rate limiting. Limits come from rateLimits.json (routes[name], else default).
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy headers and
+ * rejects with 429 RATE_LIMIT_EXCEEDED and Retry-After once the bucket is empty.
+ * @param {string} [name='default'] - Route limit name; each name has its own buckets
+ * @returns {Function} Express middleware
+ */
+function rateLimit(name = 'default') {
+  const { capacity, refillPerMinute } = getLimit(name);
+  const refillPerSecond = refillPerMinute / 60;
+  const policy = `${capacity};w=${Math.ceil(capacity / refillPerSecond)}`;
+
+  return async (req, res, next) => {
+    try {
+      const clientId = getClientId(req);
+      const result = await store.consume(`${name}:${clientId}`, { capacity, refillPerSecond });
+
+      res.setHeader('RateLimit-Policy', policy);
+      res.setHeader('RateLimit-Limit', String(capacity));
+      res.setHeader('RateLimit-Remaining', String(result.remaining));
+      res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+
+      if (!result.allowed) {
+        res.setHeader('Retry-After', String(result.retryAfterSeconds));
+        console.log(`[RATE_LIMIT] ${req.method} ${req.path} - ${name} limit reached for ${clientId}`);
+        throw new RateLimitError('Too many requests. Please slow down and try again shortly.', {
+          limit: name,
+          capacity,
+          refillPerMinute,
+          retryAfter: result.retryAfterSeconds
+        });
+      }
+
+      next();
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) {
+        // Never block traffic because the limiter itself failed
+        console.error(`[RATE_LIMIT] ${req.method} ${req.path} - Rate limit check failed:`, error.message);
+        return next();
+      }
+      return sendErrorResponse(res, error);
+    }
+  };
+}
+
+module.exports = { rateLimit, setRateLimitStore };
@@ -3,8 +3,12 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { authenticateApiKey } = require('./middleware/auth');
+const { authenticateApiKey, requireScope } = require('./middleware/auth');
 const { handleFileUpload } = require('./middleware/fileUpload'); // FIXED: handleFileUpload instead of uploadMiddleware
+const { enforceAiQuota } = require('./middleware/quota');
+const { rateLimit } = require('./middleware/rateLimit');
+const { protectKeyLookup } = require('./middleware/bruteForce');
+const { requireAdminMentor } = require('./middleware/adminAuth');
 
 // Import controllers
 const authController = require('./controllers/auth');
@@ -14,10 +18,18 @@ const coverletterController = require('./controllers/coverletter');
 const experienceController = require('./controllers/experience');
 const hrLookupController = require('./controllers/hrLookup');
 const keywordsController = require('./controllers/keywords');
+const atsScoreController = require('./controllers/atsScore');
 const uploadResumeController = require('./controllers/uploadResume');
 const appliedJobsController = require('./controllers/appliedJobs');
 const userSkillsController = require('./controllers/userSkills');
+const skillsController = require('./controllers/skills');
+const plansController = require('./controllers/plans');
+const profileController = require('./controllers/profile');
+const apiKeysController = require('./controllers/apiKeys');
 const resumeController = require('./controllers/resume');
+const resumeVersionsController = require('./controllers/resumeVersions');
+const tailoredResumesController = require('./controllers/tailoredResumes');
+const resumeExportController = require('./controllers/resumeExport');
 
 // Public routes (no auth required)
 // Health check
@@ -26,46 +38,97 @@ router.get('/health', (req, res) => {
 });
 
 // Public API key validation endpoint (no auth required)
-router.post('/auth/validate', authController.validateApiKeyPublic);
+router.post('/auth/validate', rateLimit('auth-validate'), protectKeyLookup(), authController.validateApiKeyPublic);
 
 // Public usage check endpoint (requires API key in header, but uses its own validation)
-router.get('/usage', usageController.getDailyUsageByApiKey);
+router.get('/usage', rateLimit('usage-public'), protectKeyLookup(), usageController.getDailyUsageByApiKey);
 
 // Protected routes (require API key)
 router.use(authenticateApiKey); // Apply auth middleware to all routes below
+router.use(rateLimit()); // Default per-key rate limit; busy routes add their own below
 
 // Chat routes
-router.post('/chat', chatController.chatWithContext);
+router.post('/chat', rateLimit('chat'), requireScope('ai:generate'), enforceAiQuota({ service: 'CHAT' }), chatController.chatWithContext);
 
 // Cover letter routes
-router.post('/coverletter', coverletterController.generateCoverLetter);
+router.post('/coverletter', rateLimit('coverletter'), requireScope('ai:generate'), enforceAiQuota({ service: 'COVER_LETTER' }), coverletterController.generateCoverLetter);
 
 // Experience routes
-router.post('/experience', experienceController.generateExperience);
+router.post('/experience', rateLimit('experience'), requireScope('ai:generate'), enforceAiQuota({ service: 'EXPERIENCE' }), experienceController.generateExperience);
 
 // HR Lookup routes
-router.post('/hr-lookup', hrLookupController.hrLookup);
+router.post('/hr-lookup', rateLimit('hr-lookup'), requireScope('ai:generate'), hrLookupController.hrLookup);
 
 // Keywords routes
-router.post('/keywords', keywordsController.generateKeywords);
+router.post('/keywords', rateLimit('keywords'), requireScope('ai:generate'), enforceAiQuota({ service: 'KEYWORDS', skip: req => keywordsController.getKeywordMode(req.body) === 'local' }), keywordsController.generateKeywords);
+
+// ATS score routes (deterministic, no LLM call)
+router.post('/ats-score', rateLimit('ats-score'), requireScope('resume:read'), atsScoreController.getAtsScore);
 
 // Resume upload routes - FIXED: handleFileUpload instead of uploadMiddleware
-router.post('/upload-resume', handleFileUpload, uploadResumeController.uploadResume);
+router.post('/upload-resume', rateLimit('upload-resume'), requireScope('ai:generate'), enforceAiQuota({ service: 'UPLOAD_RESUME' }), handleFileUpload, uploadResumeController.uploadResume);
 
 // Applied jobs routes
-router.get('/applied-jobs', appliedJobsController.getAppliedJobs);
-router.post('/applied-jobs', appliedJobsController.addAppliedJob);
-router.delete('/applied-jobs/:id', appliedJobsController.deleteAppliedJob);
-router.patch('/applied-jobs/:id/status', appliedJobsController.updateJobStatus);
+router.get('/applied-jobs', requireScope('jobs:read'), appliedJobsController.getAppliedJobs);
+router.post('/applied-jobs', requireScope('jobs:write'), appliedJobsController.addAppliedJob);
+router.delete('/applied-jobs/:id', requireScope('jobs:write'), appliedJobsController.deleteAppliedJob);
+router.patch('/applied-jobs/:id/status', requireScope('jobs:write'), appliedJobsController.updateJobStatus);
+router.get('/applied-jobs/:id/resume', requireScope('jobs:read'), tailoredResumesController.getAppliedJobResume);
 
 // Usage routes (authenticated)
-router.get('/usage/daily', usageController.getDailyUsage);
+router.get('/usage/daily', requireScope('usage:read'), usageController.getDailyUsage);
+router.get('/usage/tokens', requireScope('usage:read'), usageController.getTokenUsage);
+router.get('/usage/history', requireScope('usage:read'), usageController.getUsageHistory);
+router.get('/plans', requireScope('usage:read'), plansController.getPlans);
+
+// Profile settings routes
+router.get('/profile', profileController.getProfile);
+router.patch('/profile', requireScope('account:manage'), profileController.updateProfile);
+
+// API key management routes
+router.get('/api-keys', requireScope('account:manage'), apiKeysController.listApiKeys);
+router.post('/api-keys', requireScope('account:manage'), apiKeysController.createApiKey);
+router.get('/api-keys/scopes', apiKeysController.listApiKeyScopes);
+router.post('/api-keys/:id/rotate', requireScope('account:manage'), apiKeysController.rotateApiKey);
+router.delete('/api-keys/:id', requireScope('account:manage'), apiKeysController.revokeApiKey);
+
+// Admin/mentor plan management routes
+router.put('/admin/users/:userId/plan', requireScope('admin:manage'), requireAdminMentor(), plansController.assignUserPlan);
+router.get('/admin/users/:userId/credits', requireScope('admin:manage'), requireAdminMentor({ adminOnly: true }), plansController.listBonusCredits);
+router.post('/admin/users/:userId/credits', requireScope('admin:manage'), requireAdminMentor({ adminOnly: true }), plansController.grantBonusCredits);
+router.delete('/admin/users/:userId/credits/:creditId', requireScope('admin:manage'), requireAdminMentor({ adminOnly: true }), plansController.revokeBonusCredits);
 
 // User skills routes
-router.get('/user-skills', userSkillsController.getUserSkills);
-router.post('/user-skills', userSkillsController.saveUserSkills);
+router.get('/user-skills', requireScope('resume:read'), userSkillsController.getUserSkills);
+router.post('/user-skills', requireScope('resume:write'), userSkillsController.saveUserSkills);
+router.get('/user-skills/grouped', requireScope('resume:read'), userSkillsController.getGroupedUserSkills);
+router.post('/user-skills/grouped', requireScope('resume:write'), userSkillsController.applyGroupedUserSkills);
+
+// Skills database routes
+router.get('/skills/search', skillsController.searchSkills);
+router.get('/skills/categories', skillsController.getSkillCategories);
 
 // Resume routes
-router.get('/resume/load', resumeController.loadResume);
+router.get('/resume/load', requireScope('resume:read'), resumeController.loadResume);
+router.put('/resume', requireScope('resume:write'), resumeController.saveResume);
+router.post('/resume', requireScope('resume:write'), resumeController.saveResume);
+
+// Resume export/import routes
+router.get('/resume/export', requireScope('resume:read'), resumeExportController.exportResume);
+router.get('/resume/export/templates', requireScope('resume:read'), resumeExportController.getExportTemplates);
+router.post('/resume/import', requireScope('resume:write'), resumeExportController.importResume);
+
+// Resume version history routes
+router.get('/resume/versions', requireScope('resume:read'), resumeVersionsController.listResumeVersions);
+router.get('/resume/versions/diff', requireScope('resume:read'), resumeVersionsController.diffResumeVersions);
+router.get('/resume/versions/:id', requireScope('resume:read'), resumeVersionsController.getResumeVersion);
+router.post('/resume/versions/:id/restore', requireScope('resume:write'), resumeVersionsController.restoreResumeVersion);
+
+// Tailored resume variant routes
+router.get('/resume/variants', requireScope('resume:read'), tailoredResumesController.listTailoredResumes);
+router.post('/resume/variants', requireScope('resume:write'), tailoredResumesController.createTailoredResume);
+router.get('/resume/variants/:id', requireScope('resume:read'), tailoredResumesController.getTailoredResume);
+router.put('/resume/variants/:id', requireScope('resume:write'), tailoredResumesController.updateTailoredResume);
+router.delete('/resume/variants/:id', requireScope('resume:write'), tailoredResumesController.deleteTailoredResume);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,119 @@
+// src/utils/apiKeys.js
+const crypto = require('crypto');
+const prisma = require('./prismaClient');
+
+/**
+ * API key storage.
+ * Only a SHA-256 hash of each key is stored, together with a short prefix that is safe to show
+ * in listings and narrows the lookup. Keys created before hashing are stored in plaintext in
+ * ApiKey.key; they are re-hashed (and the plaintext cleared) the first time they are used.
+ */
+
+const KEY_PREFIX = 'mq_';
+const VISIBLE_PREFIX_LENGTH = 12;
+
+// Permissions an API key can carry; routes declare the scope they need with requireScope
+const API_KEY_SCOPES = {
+  'ai:generate': 'AI and lookup features (chat, cover letters, experience, keywords, HR lookup, resume upload)',
+  'jobs:read': 'Read applied jobs',
+  'jobs:write': 'Add, update and delete applied jobs',
+  'resume:read': 'Read resumes, versions, variants, skills and ATS scores',
+  'resume:write': 'Save, import and restore resumes, variants and skills',
+  'usage:read': 'Read usage, quota and plan information',
+  'account:manage': 'Manage API keys and profile settings',
+  'admin:manage': 'Admin and mentor operations (still requires an admin or mentor account)'
+};
+
+// Grants every scope; keys created before scopes existed have it
+const FULL_ACCESS_SCOPE = '*';
+
+/**
+ * Generate a new API key. The plaintext is returned once and never stored.
+ * @returns {{key: string, keyHash: string, keyPrefix: string}}
+ */
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, keyHash: hashApiKey(key), keyPrefix: getKeyPrefix(key) };
+}
+
+/**
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+/**
+ * Visible part of a key, stored for lookup and display
+ * @param {string} key - Plaintext API key
+ * @returns {string}
+ */
+function getKeyPrefix(key) {
+  return key.substring(0, VISIBLE_PREFIX_LENGTH);
+}
+
+function hashesMatch(a, b) {
+  const bufferA = Buffer.from(a || '', 'hex');
+  const bufferB = Buffer.from(b || '', 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Replace a legacy plaintext key with its hash; the conditional update makes concurrent first uses safe
+async function migrateLegacyKey(record, key) {
+  const keyHash = hashApiKey(key);
+  const { count } = await prisma.apiKey.updateMany({
+    where: { id: record.id, key },
+    data: { key: null, keyHash, keyPrefix: getKeyPrefix(key) }
+  });
+  if (count === 1) {
+    console.log(`[API_KEYS] Migrated plaintext API key ${record.id} to hashed storage`);
+  }
+  return { ...record, key: null, keyHash, keyPrefix: getKeyPrefix(key) };
+}
+
+/**
+ * Find the ApiKey row for a plaintext key (status checks are left to the caller)
+ * @param {string} key - Plaintext API key from the request
+ * @param {Object} [options]
+ * @param {Object} [options.include] - Prisma include, e.g. { user: true }
+ * @returns {Promise<Object|null>}
+ */
+async function findApiKey(key, { include } = {}) {
+  if (typeof key !== 'string' || !key) {
+    return null;
+  }
+
+  const keyHash = hashApiKey(key);
+  const candidates = await prisma.apiKey.findMany({
+    where: { keyPrefix: getKeyPrefix(key), keyHash: { not: null } },
+    include
+  });
+  const match = candidates.find(candidate => hashesMatch(candidate.keyHash, keyHash));
+  if (match) {
+    return match;
+  }
+
+  // Keys created before hashing was introduced
+  const legacy = await prisma.apiKey.findUnique({ where: { key }, include });
+  return legacy ? migrateLegacyKey(legacy, key) : null;
+}
+
+/**
+ * @param {string[]} scopes - Scopes granted to a key
+ * @param {string} scope - Scope to check
+ * @returns {boolean}
+ */
+function hasScope(scopes, scope) {
+  return Array.isArray(scopes) && (scopes.includes(FULL_ACCESS_SCOPE) || scopes.includes(scope));
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  FULL_ACCESS_SCOPE,
+  hasScope,
+  generateApiKey,
+  hashApiKey,
+  getKeyPrefix,
+  findApiKey
+};
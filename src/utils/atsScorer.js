@@ -0,0 +1,229 @@
+// src/utils/atsScorer.js
+const { findSkillMentions, normalizeForMatching, tokenize } = require('./skillsDatabase');
+const { extractJobSkills } = require('./skillExtractor');
+const { normalizeSkillList } = require('./resumeLayout');
+
+/**
+ * Deterministic ATS-style match score between a resume and a job description.
+ *
+ * Keywords are the skills found in the JD (skills database plus the resume's own skill list)
+ * and the most frequent other terms. Each keyword is weighted by type and frequency in the JD;
+ * the score is the share of total keyword weight found anywhere in the resume.
+ */
+
+// Base weights by keyword type; skills from requirement lines count extra
+const SKILL_WEIGHT = 3;
+const TERM_WEIGHT = 1;
+const REQUIRED_MULTIPLIER = 1.5;
+
+// Number of non-skill JD terms considered
+const MAX_TERMS = 20;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'our', 'are', 'will', 'have', 'has', 'this', 'that', 'from', 'who',
+  'what', 'all', 'can', 'able', 'work', 'working', 'team', 'teams', 'role', 'job', 'about', 'into', 'not', 'but',
+  'their', 'they', 'them', 'was', 'were', 'been', 'being', 'more', 'most', 'other', 'such', 'also', 'any', 'each',
+  'well', 'including', 'within', 'across', 'using', 'use', 'new', 'years', 'year', 'experience', 'strong', 'must',
+  'should', 'would', 'could', 'may', 'one', 'two', 'three', 'etc', 'how', 'why', 'when', 'where', 'which', 'while',
+  'company', 'candidate', 'candidates', 'opportunity', 'join', 'help', 'make', 'like', 'plus', 'preferred', 'required',
+  'requirements', 'responsibilities', 'qualifications', 'skills', 'knowledge', 'understanding', 'ability',
+  'we', 'us', 'an', 'in', 'on', 'of', 'to', 'is', 'be', 'as', 'at', 'by', 'or', 'it', 'if', 'do', 'so', 'up'
+]);
+
+// Resume sections scored individually, with the text each contributes
+const SECTION_EXTRACTORS = {
+  summary: resume => [resume.professionalSummary],
+  experience: resume => (resume.experience || []).flatMap(item => [item.position, item.title, item.company, item.description]),
+  projects: resume => (resume.projects || []).flatMap(item => [item.name, item.description, normalizeSkillList(item.technologies).join(', ')]),
+  education: resume => (resume.education || []).flatMap(item => [item.degree, item.field, item.institution, item.description]),
+  skills: resume => [
+    normalizeSkillList(resume.skills).join('\n'),
+    ...(resume.skillsLineTime || []).map(group => normalizeSkillList(group.skills).join('\n'))
+  ],
+  custom: resume => (resume.customSections || []).flatMap(section => [
+    section.title,
+    section.content,
+    ...(Array.isArray(section.items) ? section.items : []).map(item => (typeof item === 'string' ? item : Object.values(item || {}).join('\n')))
+  ])
+};
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function stem(word) {
+  const lower = word.toLowerCase();
+  if (lower.length > 4 && lower.endsWith('ies')) return `${lower.slice(0, -3)}y`;
+  if (lower.length > 3 && lower.endsWith('s') && !lower.endsWith('ss')) return lower.slice(0, -1);
+  return lower;
+}
+
+function countTerms(text) {
+  const counts = new Map();
+  for (const { word } of tokenize(text)) {
+    const term = stem(word);
+    if (term.length < 3 || STOPWORDS.has(term) || /^\d/.test(term)) continue;
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+function countSkills(text, extraSkills) {
+  const counts = new Map();
+  for (const mention of findSkillMentions(text, { extraSkills })) {
+    counts.set(mention.skill, (counts.get(mention.skill) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Collect weighted keywords from a job description
+ * @param {string} jobDescription
+ * @param {string[]} extraSkills - Skill names to look for in addition to the skills database
+ * @returns {Array<{keyword: string, type: 'skill'|'term', required: boolean, jdCount: number, weight: number}>}
+ */
+function extractJobKeywords(jobDescription, extraSkills = []) {
+  // Skills only mentioned in company/benefits text are not part of the match
+  const skills = extractJobSkills(jobDescription, { extraSkills }).skills
+    .filter(({ category }) => category !== 'other');
+
+  const keywords = skills.map(({ skill, category, mentions }) => {
+    const required = category === 'required';
+    return {
+      keyword: skill,
+      type: 'skill',
+      required,
+      jdCount: mentions,
+      weight: round(SKILL_WEIGHT * (1 + Math.log2(mentions)) * (required ? REQUIRED_MULTIPLIER : 1))
+    };
+  });
+
+  // Words that are part of a detected skill are not counted again as plain terms
+  const skillWords = new Set(skills.map(({ skill }) => skill).flatMap(skill => tokenize(skill).map(({ word }) => stem(word))));
+  const terms = [...countTerms(jobDescription).entries()]
+    .filter(([term, count]) => count >= 2 && !skillWords.has(term))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_TERMS);
+
+  for (const [term, count] of terms) {
+    keywords.push({
+      keyword: term,
+      type: 'term',
+      required: false,
+      jdCount: count,
+      weight: round(TERM_WEIGHT * (1 + Math.log2(count)))
+    });
+  }
+
+  return keywords;
+}
+
+/**
+ * Split a resume into scorable sections of plain text
+ * @param {Object|string} resume - Resume sections (ResumeSettings shape) or plain resume text
+ * @returns {Object<string, string>}
+ */
+function getResumeSectionTexts(resume) {
+  if (typeof resume === 'string') {
+    return { text: resume };
+  }
+  const sections = {};
+  for (const [section, extract] of Object.entries(SECTION_EXTRACTORS)) {
+    const text = extract(resume)
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(String)
+      .join('\n');
+    if (text.trim()) {
+      sections[section] = text;
+    }
+  }
+  return sections;
+}
+
+/**
+ * Score a resume against a job description
+ * @param {Object|string} resume - Resume sections or plain resume text
+ * @param {string} jobDescription
+ * @returns {Object} - { score, breakdown, keywordDensity, matchedKeywords, missingKeywords, missingRequiredKeywords }
+ */
+function scoreResume(resume, jobDescription) {
+  const resumeSkills = typeof resume === 'string' ? [] : [
+    ...normalizeSkillList(resume.skills),
+    ...(resume.skillsLineTime || []).flatMap(group => normalizeSkillList(group.skills))
+  ];
+  const keywords = extractJobKeywords(jobDescription, resumeSkills);
+  const sectionTexts = getResumeSectionTexts(resume);
+
+  // Occurrences of each keyword per resume section
+  const sectionCounts = {};
+  let resumeWordCount = 0;
+  for (const [section, text] of Object.entries(sectionTexts)) {
+    const skillCounts = countSkills(text, resumeSkills);
+    const termCounts = countTerms(text);
+    resumeWordCount += tokenize(text).length;
+    sectionCounts[section] = new Map(keywords.map(({ keyword, type }) => [
+      keyword,
+      type === 'skill' ? (skillCounts.get(keyword) || 0) : (termCounts.get(keyword) || 0)
+    ]));
+  }
+
+  // A listed skill counts as present even if the database spells it differently
+  if (sectionCounts.skills) {
+    const listed = new Set(resumeSkills.map(normalizeForMatching));
+    for (const { keyword, type } of keywords) {
+      if (type === 'skill' && listed.has(normalizeForMatching(keyword)) && !sectionCounts.skills.get(keyword)) {
+        sectionCounts.skills.set(keyword, 1);
+      }
+    }
+  }
+
+  const totalWeight = keywords.reduce((sum, { weight }) => sum + weight, 0);
+  const resumeCount = keyword => Object.values(sectionCounts).reduce((sum, counts) => sum + counts.get(keyword), 0);
+
+  const matched = keywords.filter(({ keyword }) => resumeCount(keyword) > 0);
+  const missing = keywords.filter(({ keyword }) => resumeCount(keyword) === 0);
+  const matchedWeight = matched.reduce((sum, { weight }) => sum + weight, 0);
+
+  const breakdown = Object.entries(sectionCounts).map(([section, counts]) => {
+    const found = keywords.filter(({ keyword }) => counts.get(keyword) > 0);
+    const weight = found.reduce((sum, item) => sum + item.weight, 0);
+    return {
+      section,
+      score: totalWeight ? Math.round((weight / totalWeight) * 100) : 0,
+      matchedKeywords: found.map(({ keyword }) => keyword)
+    };
+  });
+
+  const matchedOccurrences = matched.reduce((sum, { keyword }) => sum + resumeCount(keyword), 0);
+  const jdWordCount = tokenize(jobDescription).length;
+
+  return {
+    score: totalWeight ? Math.round((matchedWeight / totalWeight) * 100) : 0,
+    breakdown,
+    keywordDensity: {
+      resumeWordCount,
+      matchedOccurrences,
+      overall: resumeWordCount ? round((matchedOccurrences / resumeWordCount) * 100) : 0,
+      keywords: keywords.map(({ keyword, type, jdCount }) => {
+        const count = resumeCount(keyword);
+        return {
+          keyword,
+          type,
+          resumeCount: count,
+          resumeDensity: resumeWordCount ? round((count / resumeWordCount) * 100) : 0,
+          jobDescriptionDensity: jdWordCount ? round((jdCount / jdWordCount) * 100) : 0
+        };
+      })
+    },
+    matchedKeywords: matched.map(({ keyword, type, required, weight }) => ({ keyword, type, required, weight })),
+    missingKeywords: missing.map(({ keyword, type, required, weight }) => ({ keyword, type, required, weight })),
+    missingRequiredKeywords: missing.filter(({ required }) => required).map(({ keyword }) => keyword)
+  };
+}
+
+module.exports = {
+  extractJobKeywords,
+  getResumeSectionTexts,
+  scoreResume
+};
@@ -0,0 +1,119 @@
+// src/utils/authCache.js
+const prisma = require('./prismaClient');
+const { hashApiKey } = require('./apiKeys');
+
+/**
+ * Per-process cache of authenticated API key lookups (ApiKey row with its user), keyed by key hash.
+ * Entries live for a short TTL and are dropped when a key is revoked/rotated or its user changes,
+ * so status checks in authenticateApiKey still see changes made through this API right away.
+ * Changes made directly in the database are picked up once the TTL passes.
+ *
+ * lastUsedAt is not written on every request: uses are collected here and flushed in one
+ * updateMany per interval, so lastUsedAt is accurate to LAST_USED_FLUSH_MS.
+ */
+
+const AUTH_CACHE_TTL_MS = Number(process.env.AUTH_CACHE_TTL_MS) || 30 * 1000;
+const AUTH_CACHE_MAX_ENTRIES = 5000;
+const LAST_USED_FLUSH_MS = 60 * 1000;
+
+const cache = new Map();
+const pendingLastUsed = new Set();
+let flushTimer = null;
+
+/**
+ * Cached ApiKey row (with user) for a plaintext key
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function getCachedApiKey(key) {
+  const cacheKey = hashApiKey(key);
+  const entry = cache.get(cacheKey);
+  if (!entry) {
+    return null;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(cacheKey);
+    return null;
+  }
+  return entry.record;
+}
+
+/**
+ * Cache an ApiKey row (with user) that passed authentication
+ * @param {string} key - Plaintext key
+ * @param {Object} record
+ */
+function cacheApiKey(key, record) {
+  if (cache.size >= AUTH_CACHE_MAX_ENTRIES) {
+    // Maps iterate in insertion order, so this drops the oldest entry
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(hashApiKey(key), { record, expiresAt: Date.now() + AUTH_CACHE_TTL_MS });
+}
+
+function invalidateWhere(predicate) {
+  for (const [cacheKey, entry] of cache) {
+    if (predicate(entry.record)) {
+      cache.delete(cacheKey);
+    }
+  }
+}
+
+/**
+ * Drop a key from the cache (revoked, rotated or otherwise changed)
+ * @param {string} apiKeyId
+ */
+function invalidateApiKey(apiKeyId) {
+  invalidateWhere(record => record.id === apiKeyId);
+}
+
+/**
+ * Drop every cached key of a user (user deleted, plan or profile changed)
+ * @param {string} userId
+ */
+function invalidateUser(userId) {
+  invalidateWhere(record => record.userId === userId);
+}
+
+/**
+ * Write pending lastUsedAt updates
+ * @returns {Promise<void>}
+ */
+async function flushLastUsed() {
+  if (pendingLastUsed.size === 0) {
+    return;
+  }
+  const ids = [...pendingLastUsed];
+  pendingLastUsed.clear();
+  try {
+    await prisma.apiKey.updateMany({
+      where: { id: { in: ids } },
+      data: { lastUsedAt: new Date() }
+    });
+  } catch (error) {
+    // Log but don't fail - lastUsedAt is informational
+    console.warn(`[AUTH_CACHE] Failed to update lastUsedAt for ${ids.length} API keys:`, error.message);
+  }
+}
+
+/**
+ * Record that a key was used; lastUsedAt is written on the next flush
+ * @param {string} apiKeyId
+ */
+function markApiKeyUsed(apiKeyId) {
+  pendingLastUsed.add(apiKeyId);
+  if (!flushTimer) {
+    flushTimer = setInterval(flushLastUsed, LAST_USED_FLUSH_MS);
+    // Don't keep scripts or a shutting-down server alive just for this
+    flushTimer.unref();
+  }
+}
+
+module.exports = {
+  getCachedApiKey,
+  cacheApiKey,
+  invalidateApiKey,
+  invalidateUser,
+  markApiKeyUsed,
+  flushLastUsed
+};
@@ -0,0 +1,33 @@
+// src/utils/dailyGoal.js
+const prisma = require('./prismaClient');
+const { getZonedDayWindow, formatDateKey } = require('./timezone');
+
+/**
+ * Progress towards the user's goalPerDay (applied jobs) for the current day in their timezone
+ * @param {Object} user - User row (id, goalPerDay)
+ * @param {string} timeZone - IANA timezone (see resolveTimeZone)
+ * @returns {Promise<{date: string, timeZone: string, goalPerDay: number, appliedToday: number, remaining: number, met: boolean}>}
+ */
+async function getDailyGoalProgress(user, timeZone) {
+  const now = new Date();
+  const day = getZonedDayWindow(now, timeZone);
+  const appliedToday = await prisma.appliedJob.count({
+    where: {
+      userId: user.id,
+      deletedAt: null,
+      appliedDate: { gte: day.start, lt: day.end }
+    }
+  });
+  const goalPerDay = user.goalPerDay ?? 0;
+
+  return {
+    date: formatDateKey(now, timeZone),
+    timeZone,
+    goalPerDay,
+    appliedToday,
+    remaining: Math.max(0, goalPerDay - appliedToday),
+    met: appliedToday >= goalPerDay
+  };
+}
+
+module.exports = { getDailyGoalProgress };
@@ -11,6 +11,7 @@ const ERROR_CODES = {
   AUTH_ERROR: 'AUTH_ERROR',
   FORBIDDEN: 'FORBIDDEN',
   API_KEY_INACTIVE: 'API_KEY_INACTIVE',
+  API_KEY_EXPIRED: 'API_KEY_EXPIRED',
   USER_DELETED: 'USER_DELETED',
   USER_NOT_VERIFIED: 'USER_NOT_VERIFIED',
   DATA_ERROR: 'DATA_ERROR',
@@ -62,6 +63,7 @@ const ERROR_STATUS_MAP = {
   [ERROR_CODES.AUTH_ERROR]: 401,
   [ERROR_CODES.FORBIDDEN]: 403,
   [ERROR_CODES.API_KEY_INACTIVE]: 403,
+  [ERROR_CODES.API_KEY_EXPIRED]: 401,
   [ERROR_CODES.USER_DELETED]: 403,
   [ERROR_CODES.USER_NOT_VERIFIED]: 403,
   [ERROR_CODES.DATA_ERROR]: 500,
@@ -161,6 +163,12 @@ class QuotaError extends AppError {
   }
 }
 
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests', details = null) {
+    super(ERROR_CODES.RATE_LIMIT_EXCEEDED, message, null, details);
+  }
+}
+
 class ExternalServiceError extends AppError {
   constructor(message = 'External service error', details = null) {
     super(ERROR_CODES.EXTERNAL_SERVICE_ERROR, message, null, details);
@@ -339,6 +347,7 @@ module.exports = {
   NotFoundError,
   DatabaseError,
   QuotaError,
+  RateLimitError,
   ExternalServiceError,
   createErrorResponse,
   normalizeError,
@@ -0,0 +1,169 @@
+// src/utils/firebaseAuth.js
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { AppError, AuthenticationError, ERROR_CODES } = require('./errors');
+
+/**
+ * Firebase ID token verification (RS256 JWTs signed by Google's securetoken service).
+ * Public keys are fetched from Google and cached for as long as its Cache-Control header allows.
+ * Set FIREBASE_PUBLIC_KEYS_FILE to verify against a local key set instead (no network), e.g. in
+ * local testing. The file holds either a { kid: PEM certificate/public key } map, as served by
+ * Google, or a JWKS document ({ keys: [...] }).
+ */
+
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const DEFAULT_CACHE_SECONDS = 60 * 60;
+const CLOCK_SKEW_SECONDS = 60;
+// Don't refetch more often than this when a token names an unknown key id
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+let keyCache = { keys: null, expiresAt: 0, fetchedAt: 0 };
+
+function toPublicKey(entry) {
+  if (typeof entry === 'string') {
+    return entry.includes('BEGIN CERTIFICATE')
+      ? new crypto.X509Certificate(entry).publicKey
+      : crypto.createPublicKey(entry);
+  }
+  return crypto.createPublicKey({ key: entry, format: 'jwk' });
+}
+
+// { kid: KeyObject } from either key set format
+function parseKeySet(document) {
+  const entries = Array.isArray(document?.keys)
+    ? document.keys.map(jwk => [jwk.kid, jwk])
+    : Object.entries(document || {});
+  const keys = new Map();
+  for (const [kid, entry] of entries) {
+    if (kid) {
+      keys.set(kid, toPublicKey(entry));
+    }
+  }
+  return keys;
+}
+
+function loadLocalKeys(filePath) {
+  if (!keyCache.keys || keyCache.source !== filePath) {
+    keyCache = { keys: parseKeySet(JSON.parse(fs.readFileSync(filePath, 'utf8'))), expiresAt: Infinity, fetchedAt: Date.now(), source: filePath };
+    console.log(`[FIREBASE_AUTH] Loaded ${keyCache.keys.size} public keys from ${filePath}`);
+  }
+  return keyCache.keys;
+}
+
+async function fetchGoogleKeys() {
+  const response = await axios.get(FIREBASE_CERTS_URL, { timeout: 5000 });
+  const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+  const cacheSeconds = maxAge ? Number(maxAge[1]) : DEFAULT_CACHE_SECONDS;
+  keyCache = {
+    keys: parseKeySet(response.data),
+    expiresAt: Date.now() + cacheSeconds * 1000,
+    fetchedAt: Date.now(),
+    source: FIREBASE_CERTS_URL
+  };
+  console.log(`[FIREBASE_AUTH] Fetched ${keyCache.keys.size} public keys (cached for ${cacheSeconds}s)`);
+  return keyCache.keys;
+}
+
+async function getPublicKey(kid) {
+  if (process.env.FIREBASE_PUBLIC_KEYS_FILE) {
+    return loadLocalKeys(process.env.FIREBASE_PUBLIC_KEYS_FILE).get(kid) || null;
+  }
+
+  const cacheValid = keyCache.keys && keyCache.source === FIREBASE_CERTS_URL && keyCache.expiresAt > Date.now();
+  // Google rotates keys; an unknown kid may mean the cached set is out of date
+  const unknownKid = cacheValid && !keyCache.keys.has(kid) && Date.now() - keyCache.fetchedAt > MIN_REFETCH_INTERVAL_MS;
+  if (!cacheValid || unknownKid) {
+    try {
+      await fetchGoogleKeys();
+    } catch (error) {
+      console.error('[FIREBASE_AUTH] Failed to fetch Firebase public keys:', error.message);
+      if (!keyCache.keys) {
+        throw new AppError(ERROR_CODES.EXTERNAL_SERVICE_ERROR, 'Unable to verify Firebase tokens right now. Please try again.', 503);
+      }
+    }
+  }
+  return keyCache.keys.get(kid) || null;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthenticationError('Invalid Firebase ID token');
+  }
+}
+
+/**
+ * Verify a Firebase ID token and return its claims
+ * @param {string} token - JWT from `Authorization: Bearer <token>`
+ * @returns {Promise<Object>} Token claims; `sub` is the Firebase uid
+ * @throws {AuthenticationError} When the token is malformed, expired or not signed by Firebase
+ */
+async function verifyFirebaseIdToken(token) {
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  if (!projectId) {
+    throw new AppError(ERROR_CODES.CONFIGURATION_ERROR, 'Firebase authentication is not configured', 500);
+  }
+
+  const segments = String(token || '').split('.');
+  if (segments.length !== 3) {
+    throw new AuthenticationError('Invalid Firebase ID token');
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = segments;
+  const header = decodeSegment(headerSegment);
+  const claims = decodeSegment(payloadSegment);
+
+  if (header.alg !== 'RS256' || !header.kid) {
+    throw new AuthenticationError('Invalid Firebase ID token');
+  }
+
+  const publicKey = await getPublicKey(header.kid);
+  if (!publicKey) {
+    throw new AuthenticationError('Firebase ID token was signed with an unknown key');
+  }
+
+  const signatureValid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${headerSegment}.${payloadSegment}`),
+    publicKey,
+    Buffer.from(signatureSegment, 'base64url')
+  );
+  if (!signatureValid) {
+    throw new AuthenticationError('Invalid Firebase ID token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS <= now) {
+    throw new AuthenticationError('Firebase ID token has expired');
+  }
+  if (typeof claims.iat !== 'number' || claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthenticationError('Firebase ID token was issued in the future');
+  }
+  if (claims.auth_time !== undefined && claims.auth_time - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthenticationError('Invalid Firebase ID token');
+  }
+  if (claims.aud !== projectId || claims.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new AuthenticationError('Firebase ID token was issued for a different project');
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub || claims.sub.length > 128) {
+    throw new AuthenticationError('Invalid Firebase ID token');
+  }
+
+  return claims;
+}
+
+/**
+ * Bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  verifyFirebaseIdToken,
+  getBearerToken
+};
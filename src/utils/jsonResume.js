@@ -0,0 +1,344 @@
+// src/utils/jsonResume.js
+const { splitBullets, normalizeSkillList } = require('./resumeLayout');
+const { validateAgainstSchema } = require('./schemaValidator');
+const JSON_RESUME_DOCUMENT_SCHEMA = require('../schemas/jsonResume.json');
+
+/**
+ * Conversion between ResumeSettings sections and the JSON Resume schema
+ * (https://jsonresume.org/schema).
+ *
+ * Data without an equivalent on the other side is preserved rather than dropped:
+ * - Exporting stores customSections, skillsLineTime, skillsDisplayMode, sectionOrder and
+ *   sectionNames under `meta.mentorque`, which is restored as-is on import.
+ * - Dates are exported as ISO 8601 only; current roles ("Present") have no endDate. The original
+ *   strings of dates that had to change are kept under `meta.mentorque.dates`.
+ * - Importing turns JSON Resume sections we don't model (awards, certificates, languages, ...)
+ *   into customSections so they are kept and rendered.
+ */
+
+const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const BULLET_PATTERN = /^[•●▪■◦‣*\-–]\s*/;
+
+// Key under `meta` that carries fields JSON Resume has no place for
+const META_KEY = 'mentorque';
+
+// JSON Resume sections without an internal equivalent, imported as custom sections
+const EXTRA_SECTIONS = {
+  awards: { title: 'Awards', toItem: item => ({ title: item.title, subtitle: item.awarder, date: item.date, description: item.summary }) },
+  certificates: { title: 'Certifications', toItem: item => ({ title: item.name, subtitle: item.issuer, date: item.date, link: item.url }) },
+  publications: { title: 'Publications', toItem: item => ({ title: item.name, subtitle: item.publisher, date: item.releaseDate, link: item.url, description: item.summary }) },
+  volunteer: { title: 'Volunteer Experience', toItem: item => ({ title: item.position, subtitle: item.organization, startDate: item.startDate, endDate: item.endDate, description: bulletText(item.summary, item.highlights) }) },
+  languages: { title: 'Languages', toItem: item => [item.language, item.fluency].filter(Boolean).join(' — ') },
+  interests: { title: 'Interests', toItem: item => [item.name, (item.keywords || []).join(', ')].filter(Boolean).join(': ') },
+  references: { title: 'References', toItem: item => [item.reference, item.name].filter(Boolean).join(' — ') }
+};
+
+// JSON Resume dates are ISO 8601: YYYY, YYYY-MM or YYYY-MM-DD
+const ISO_DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+// End dates of an ongoing role; JSON Resume leaves endDate out instead
+const CURRENT_DATE_PATTERN = /^(present|current|now|ongoing|today)$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * ISO 8601 form of a resume date ("2021-03", "Mar 2021", "March 2021", "03/2021", "2021")
+ * @param {*} value
+ * @returns {string|undefined} Undefined for current-role markers and dates that can't be converted
+ */
+function toIsoDate(value) {
+  const date = String(value ?? '').trim();
+  if (ISO_DATE_PATTERN.test(date)) {
+    return date;
+  }
+  const monthName = date.match(/^([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/i);
+  if (monthName && MONTHS.includes(monthName[1].toLowerCase())) {
+    return `${monthName[2]}-${String(MONTHS.indexOf(monthName[1].toLowerCase()) + 1).padStart(2, '0')}`;
+  }
+  const numeric = date.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric && Number(numeric[1]) >= 1 && Number(numeric[1]) <= 12) {
+    return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+  }
+  return undefined;
+}
+
+/**
+ * Dates of one item in JSON Resume form, plus the original strings when they had to be
+ * changed (kept under `meta.mentorque.dates` so an import restores them)
+ * @param {Object} item - Item with startDate/endDate
+ * @returns {{dates: {startDate: string|undefined, endDate: string|undefined}, original: Object|null}}
+ */
+function exportDates({ startDate, endDate }) {
+  const dates = { startDate: toIsoDate(startDate), endDate: toIsoDate(endDate) };
+  const changed = ['startDate', 'endDate'].some(key => {
+    const value = key === 'startDate' ? startDate : endDate;
+    return value !== undefined && value !== null && value !== '' && String(value) !== dates[key];
+  });
+  return { dates, original: changed ? compact({ startDate, endDate }) : null };
+}
+
+// Original dates of an exported item, if the document still has the dates they were exported as
+function importDates(item, original) {
+  if (!original) {
+    return { startDate: item.startDate, endDate: item.endDate };
+  }
+  const exported = exportDates(original).dates;
+  if (exported.startDate !== item.startDate || exported.endDate !== item.endDate) {
+    return { startDate: item.startDate, endDate: item.endDate };
+  }
+  return { startDate: original.startDate, endDate: original.endDate };
+}
+
+function compact(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    result[key] = value;
+  }
+  return result;
+}
+
+// Internal descriptions are "• " bullet strings; keep a leading summary line unbulleted
+function bulletText(summary, highlights) {
+  const lines = [];
+  if (summary) lines.push(String(summary).trim());
+  for (const highlight of highlights || []) {
+    if (highlight) lines.push(`• ${String(highlight).trim()}`);
+  }
+  return lines.join('\n');
+}
+
+// Inverse of bulletText: unbulleted leading lines become the summary, bullet lines the highlights
+function splitDescription(description) {
+  if (Array.isArray(description)) {
+    return { summary: undefined, highlights: splitBullets(description) };
+  }
+  const lines = String(description || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const firstBullet = lines.findIndex(line => BULLET_PATTERN.test(line));
+  const summaryLines = firstBullet === -1 ? lines : lines.slice(0, firstBullet);
+  return {
+    summary: summaryLines.join('\n') || undefined,
+    highlights: firstBullet === -1 ? [] : splitBullets(lines.slice(firstBullet))
+  };
+}
+
+function findProfile(profiles, network) {
+  return (profiles || []).find(profile => String(profile.network || '').toLowerCase() === network);
+}
+
+function profileFromUrl(network, url) {
+  if (!url) return null;
+  const username = String(url).replace(/\/+$/, '').split('/').pop();
+  return compact({ network, username, url: /^https?:\/\//i.test(url) ? url : `https://${url}` });
+}
+
+/**
+ * Convert resume sections (ResumeSettings shape) to a JSON Resume document
+ * @param {Object} resume - Resume sections
+ * @returns {Object}
+ */
+function toJsonResume(resume) {
+  const personalInfo = resume.personalInfo || {};
+  const {
+    firstName, lastName, email, phone, location, linkedin, github, website, portfolio, title,
+    ...extraPersonalInfo
+  } = personalInfo;
+
+  const basics = compact({
+    name: [firstName, lastName].filter(Boolean).join(' '),
+    label: title,
+    email,
+    phone,
+    url: website || portfolio,
+    summary: resume.professionalSummary,
+    location: location ? { address: location } : undefined,
+    profiles: [profileFromUrl('LinkedIn', linkedin), profileFromUrl('GitHub', github)].filter(Boolean)
+  });
+
+  const experienceDates = (resume.experience || []).map(exportDates);
+  const work = (resume.experience || []).map(({ company, position, location: jobLocation, startDate, endDate, description, url, ...rest }, index) => compact({
+    name: company,
+    position,
+    location: jobLocation,
+    url,
+    ...experienceDates[index].dates,
+    ...splitDescription(description),
+    ...rest
+  }));
+
+  const educationDates = (resume.education || []).map(exportDates);
+  const education = (resume.education || []).map(({ institution, degree, field, gpa, startDate, endDate, description, ...rest }, index) => compact({
+    institution,
+    studyType: degree,
+    area: field,
+    score: gpa !== undefined && gpa !== null ? String(gpa) : undefined,
+    ...educationDates[index].dates,
+    courses: splitBullets(description),
+    ...rest
+  }));
+
+  // Original date strings by item index, for the items whose dates aren't ISO 8601
+  const originalDates = compact({
+    work: experienceDates.some(entry => entry.original) ? experienceDates.map(entry => entry.original) : undefined,
+    education: educationDates.some(entry => entry.original) ? educationDates.map(entry => entry.original) : undefined
+  });
+
+  const projects = (resume.projects || []).map(({ name, description, technologies, link, ...rest }) => {
+    const { summary, highlights } = splitDescription(description);
+    return compact({
+      name,
+      description: summary,
+      highlights,
+      keywords: normalizeSkillList(technologies),
+      url: link,
+      ...rest
+    });
+  });
+
+  const skills = Array.isArray(resume.skillsLineTime) && resume.skillsLineTime.length
+    ? resume.skillsLineTime.map(group => compact({ name: group.heading, keywords: normalizeSkillList(group.skills) }))
+    : normalizeSkillList(resume.skills).map(name => ({ name }));
+
+  return compact({
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics,
+    work,
+    education,
+    projects,
+    skills,
+    meta: {
+      version: 'v1.0.0',
+      lastModified: new Date().toISOString(),
+      [META_KEY]: compact({
+        // Flat skill list is kept too when skills were exported as lineTime groups
+        skills: Array.isArray(resume.skillsLineTime) && resume.skillsLineTime.length ? resume.skills : undefined,
+        personalInfo: Object.keys(extraPersonalInfo).length ? extraPersonalInfo : undefined,
+        customSections: resume.customSections,
+        skillsDisplayMode: resume.skillsDisplayMode,
+        skillsLineTime: resume.skillsLineTime,
+        sectionOrder: resume.sectionOrder,
+        sectionNames: resume.sectionNames && Object.keys(resume.sectionNames).length ? resume.sectionNames : undefined,
+        dates: Object.keys(originalDates).length ? originalDates : undefined
+      })
+    }
+  });
+}
+
+/**
+ * Convert a JSON Resume document to resume sections (ResumeSettings shape)
+ * @param {Object} document - JSON Resume document
+ * @returns {Object} - Resume sections, ready for extractResumeSections
+ */
+function fromJsonResume(document) {
+  const basics = document.basics || {};
+  const preserved = document.meta?.[META_KEY] || {};
+  const nameParts = String(basics.name || '').trim().split(/\s+/).filter(Boolean);
+  const linkedin = findProfile(basics.profiles, 'linkedin');
+  const github = findProfile(basics.profiles, 'github');
+  const location = basics.location
+    ? [basics.location.address, basics.location.city, basics.location.region, basics.location.countryCode].filter(Boolean).join(', ')
+    : '';
+
+  const personalInfo = compact({
+    ...(preserved.personalInfo || {}),
+    firstName: nameParts.length > 1 ? nameParts.slice(0, -1).join(' ') : nameParts[0],
+    lastName: nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined,
+    title: basics.label,
+    email: basics.email,
+    phone: basics.phone,
+    location,
+    linkedin: linkedin?.url || linkedin?.username,
+    github: github?.url || github?.username,
+    website: basics.url
+  });
+
+  const originalDates = preserved.dates || {};
+  const experience = (document.work || []).map(({ name, company, position, location: jobLocation, startDate, endDate, summary, highlights, ...rest }, index) => compact({
+    ...rest,
+    company: name || company,
+    position,
+    location: jobLocation,
+    ...importDates({ startDate, endDate }, originalDates.work?.[index]),
+    description: bulletText(summary, highlights)
+  }));
+
+  const education = (document.education || []).map(({ institution, studyType, area, score, startDate, endDate, courses, ...rest }, index) => compact({
+    ...rest,
+    institution,
+    degree: studyType,
+    field: area,
+    gpa: score,
+    ...importDates({ startDate, endDate }, originalDates.education?.[index]),
+    description: bulletText(null, courses)
+  }));
+
+  const projects = (document.projects || []).map(({ name, description, highlights, keywords, url, ...rest }) => compact({
+    ...rest,
+    name,
+    description: bulletText(description, highlights),
+    technologies: keywords || [],
+    link: url
+  }));
+
+  const skillEntries = Array.isArray(document.skills) ? document.skills : [];
+  const grouped = skillEntries.some(skill => Array.isArray(skill.keywords) && skill.keywords.length);
+  const skillsLineTime = grouped
+    ? skillEntries.map(skill => ({ heading: String(skill.name || ''), skills: normalizeSkillList(skill.keywords) }))
+    : [];
+  const skills = Array.isArray(preserved.skills)
+    ? preserved.skills
+    : [...new Set(grouped ? skillsLineTime.flatMap(group => group.skills) : skillEntries.map(skill => String(skill.name || '').trim()).filter(Boolean))];
+
+  const customSections = Array.isArray(preserved.customSections) ? [...preserved.customSections] : [];
+  for (const [key, { title, toItem }] of Object.entries(EXTRA_SECTIONS)) {
+    const entries = Array.isArray(document[key]) ? document[key] : [];
+    if (!entries.length || customSections.some(section => section.id === key)) continue;
+    customSections.push({
+      id: key,
+      title,
+      items: entries.map(toItem).map(item => (typeof item === 'string' ? item : compact(item)))
+    });
+  }
+
+  return compact({
+    personalInfo,
+    professionalSummary: basics.summary || '',
+    experience,
+    education,
+    projects,
+    skills,
+    customSections,
+    skillsDisplayMode: preserved.skillsDisplayMode || (grouped ? 'lineTime' : 'twoColumnar'),
+    skillsLineTime: Array.isArray(preserved.skillsLineTime) ? preserved.skillsLineTime : skillsLineTime,
+    sectionOrder: preserved.sectionOrder,
+    sectionNames: preserved.sectionNames
+  });
+}
+
+/**
+ * Heuristic check that a document looks like JSON Resume
+ * @param {*} document
+ * @returns {boolean}
+ */
+function isJsonResume(document) {
+  return !!document && typeof document === 'object' && !Array.isArray(document) &&
+    ['basics', 'work', 'education', 'skills', 'projects'].some(key => document[key] !== undefined);
+}
+
+/**
+ * Check that the sections fromJsonResume reads have the JSON Resume shape (lists of objects etc.)
+ * @param {Object} document
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}}
+ */
+function validateJsonResume(document) {
+  return validateAgainstSchema(JSON_RESUME_DOCUMENT_SCHEMA, document);
+}
+
+module.exports = {
+  toJsonResume,
+  fromJsonResume,
+  isJsonResume,
+  validateJsonResume
+};
@@ -0,0 +1,290 @@
+// src/utils/latexRenderer.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { processLatexToAstViaUnified } = require('@unified-latex/unified-latex');
+const { AppError, ERROR_CODES } = require('./errors');
+const { getLatexTemplate } = require('./latexTemplates');
+const { getOrderedSections, getHeader } = require('./resumeLayout');
+
+const execFileAsync = promisify(execFile);
+
+// Time allowed for a single TeX run before the export is abandoned
+const LATEX_COMPILE_TIMEOUT_MS = 30000;
+
+const LATEX_SPECIAL_CHARS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '%': '\\%',
+  '_': '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  '<': '\\textless{}',
+  '>': '\\textgreater{}',
+  '|': '\\textbar{}'
+};
+
+/**
+ * Escape user-provided text for use in LaTeX body text
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLatex(value) {
+  return String(value ?? '')
+    .replace(/[\\{}$&#%_~^<>|]/g, char => LATEX_SPECIAL_CHARS[char])
+    // Straight double quotes render as closing quotes in T1; use proper opening/closing quotes
+    .replace(/"([^"]*)"/g, '``$1\'\'')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Escape a URL for the first argument of \href
+ * @param {string} url
+ * @returns {string}
+ */
+function escapeUrl(url) {
+  return String(url ?? '')
+    .replace(/[\s{}\\]/g, '')
+    .replace(/[%#&]/g, char => `\\${char}`);
+}
+
+function renderLink(label, url) {
+  return url ? `\\href{${escapeUrl(url)}}{${escapeLatex(label)}}` : escapeLatex(label);
+}
+
+// The empty group keeps a leading "[" from being read as \item's optional label
+function renderItem(text) {
+  return `  \\item {}${escapeLatex(text)}`;
+}
+
+function renderItems(bullets) {
+  if (!bullets.length) {
+    return '';
+  }
+  return [
+    '\\begin{resumeItems}',
+    ...bullets.map(renderItem),
+    '\\end{resumeItems}'
+  ].join('\n');
+}
+
+function renderEntry(entry) {
+  const title = entry.link ? renderLink(entry.title, entry.link) : escapeLatex(entry.title);
+  const heading = entry.subtitle || entry.location
+    ? `\\resumeEntry{${title}}{${escapeLatex(entry.dates)}}{${escapeLatex(entry.subtitle)}}{${escapeLatex(entry.location)}}`
+    : `\\resumeEntryShort{${title}}{${escapeLatex(entry.dates)}}`;
+  return [heading, renderItems(entry.bullets)].filter(Boolean).join('\n');
+}
+
+function renderSection(section) {
+  const lines = [`\\resumeSection{${escapeLatex(section.title)}}`];
+
+  switch (section.type) {
+    case 'paragraph':
+      lines.push(escapeLatex(section.text));
+      break;
+    case 'entries':
+      lines.push(section.entries.map(renderEntry).join('\n\n'));
+      break;
+    case 'skillGroups':
+      lines.push(section.groups
+        .map(group => `\\resumeSkillLine{${escapeLatex(group.heading)}}{${escapeLatex(group.skills.join(', '))}}`)
+        .join('\n'));
+      break;
+    case 'skillList':
+      lines.push([
+        '\\begin{resumeSkillColumns}',
+        ...section.skills.map(renderItem),
+        '\\end{resumeSkillColumns}'
+      ].join('\n'));
+      break;
+    case 'custom':
+      if (section.entries.length) {
+        lines.push(section.entries.map(renderEntry).join('\n\n'));
+      }
+      if (section.bullets.length) {
+        lines.push(renderItems(section.bullets));
+      }
+      break;
+    default:
+      break;
+  }
+
+  return lines.join('\n');
+}
+
+function collectNodes(nodes, visit) {
+  for (const node of nodes || []) {
+    visit(node);
+    if (Array.isArray(node.content)) collectNodes(node.content, visit);
+    for (const arg of node.args || []) collectNodes(arg.content, visit);
+  }
+}
+
+/**
+ * Parse generated LaTeX with unified-latex and reject structurally broken output
+ * (unmatched environments or braces), which would otherwise only surface as a TeX error.
+ * Only the document body is checked; template preambles split \begin/\end across
+ * \newenvironment arguments on purpose.
+ * @param {string} source
+ */
+function assertWellFormedLatex(source) {
+  const processor = processLatexToAstViaUnified();
+  const ast = processor.runSync(processor.parse(source));
+
+  const problems = [];
+  collectNodes(ast.content, (node) => {
+    if (node.type === 'macro' && (node.content === 'begin' || node.content === 'end')) {
+      problems.push(`unmatched \\${node.content}`);
+    }
+    if (node.type === 'string' && /[{}]/.test(node.content)) {
+      problems.push('unbalanced braces');
+    }
+  });
+
+  if (problems.length) {
+    throw new AppError(
+      ERROR_CODES.INTERNAL_SERVER_ERROR,
+      'Generated LaTeX document is malformed',
+      500,
+      { problems: [...new Set(problems)] }
+    );
+  }
+}
+
+/**
+ * Render resume data into a complete LaTeX document
+ * @param {Object} resume - Resume data in the shape returned by buildResumeData
+ * @param {string} templateName - Template name (see latexTemplates)
+ * @returns {string}
+ */
+function renderResumeLatex(resume, templateName) {
+  const template = getLatexTemplate(templateName);
+  if (!template) {
+    throw new AppError(ERROR_CODES.INVALID_FIELD, `Unknown LaTeX template: ${templateName}`, 400);
+  }
+
+  const header = getHeader(resume.personalInfo);
+  const contactLine = header.contacts
+    .map(contact => renderLink(contact.label, contact.url))
+    .join(' \\textbar{} ');
+
+  const body = [
+    `\\resumeHeader{${escapeLatex(header.name || 'Resume')}}{${contactLine}}`,
+    ...getOrderedSections(resume).map(renderSection)
+  ].join('\n\n');
+
+  assertWellFormedLatex(body);
+
+  return `${template.preamble}
+
+\\begin{document}
+
+${body}
+
+\\end{document}
+`;
+}
+
+// Engines tried in order when LATEX_ENGINE is not set, with their command-line arguments
+const LATEX_ENGINES = {
+  tectonic: (texFile, outDir) => ['-X', 'compile', '--untrusted', '--outdir', outDir, texFile],
+  pdflatex: (texFile, outDir) => ['-interaction=nonstopmode', '-halt-on-error', '-no-shell-escape', `-output-directory=${outDir}`, texFile],
+  xelatex: (texFile, outDir) => ['-interaction=nonstopmode', '-halt-on-error', '-no-shell-escape', `-output-directory=${outDir}`, texFile],
+  lualatex: (texFile, outDir) => ['-interaction=nonstopmode', '-halt-on-error', '-no-shell-escape', `-output-directory=${outDir}`, texFile]
+};
+
+let cachedEngine;
+
+function findExecutable(name) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch (_e) {
+      /* not in this directory */
+    }
+  }
+  return null;
+}
+
+/**
+ * Locate a local TeX engine (LATEX_ENGINE env var, else the first one found on PATH)
+ * @returns {{name: string, path: string}|null}
+ */
+function findLatexEngine() {
+  if (cachedEngine !== undefined) {
+    return cachedEngine;
+  }
+
+  const names = process.env.LATEX_ENGINE ? [process.env.LATEX_ENGINE] : Object.keys(LATEX_ENGINES);
+  cachedEngine = null;
+  for (const name of names) {
+    if (!LATEX_ENGINES[name]) continue;
+    const executable = findExecutable(name);
+    if (executable) {
+      cachedEngine = { name, path: executable };
+      break;
+    }
+  }
+  return cachedEngine;
+}
+
+/**
+ * Compile a LaTeX document to PDF with the local TeX engine
+ * @param {string} source - LaTeX document
+ * @returns {Promise<Buffer>} - PDF contents
+ */
+async function compileLatexToPdf(source) {
+  const engine = findLatexEngine();
+  if (!engine) {
+    throw new AppError(
+      ERROR_CODES.SERVICE_UNAVAILABLE,
+      'PDF export is not available on this server (no TeX engine installed). Export as LaTeX instead.',
+      503
+    );
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resume-latex-'));
+  try {
+    const texFile = path.join(workDir, 'resume.tex');
+    await fs.promises.writeFile(texFile, source, 'utf8');
+
+    try {
+      await execFileAsync(engine.path, LATEX_ENGINES[engine.name](texFile, workDir), {
+        cwd: workDir,
+        timeout: LATEX_COMPILE_TIMEOUT_MS,
+        maxBuffer: 10 * 1024 * 1024
+      });
+    } catch (error) {
+      const log = String(error.stdout || '').split('\n').filter(line => line.startsWith('!')).slice(0, 5);
+      console.error(`[LATEX] ${engine.name} failed:`, error.killed ? 'timed out' : error.message, log);
+      throw new AppError(
+        ERROR_CODES.INTERNAL_SERVER_ERROR,
+        error.killed ? 'PDF generation timed out' : 'PDF generation failed',
+        500,
+        log.length ? { log } : null
+      );
+    }
+
+    return await fs.promises.readFile(path.join(workDir, 'resume.pdf'));
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  escapeLatex,
+  renderResumeLatex,
+  compileLatexToPdf,
+  findLatexEngine
+};
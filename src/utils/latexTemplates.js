@@ -0,0 +1,98 @@
+// src/utils/latexTemplates.js
+
+/**
+ * LaTeX resume templates.
+ *
+ * The renderer emits the same body for every template using the macros below;
+ * a template only supplies the preamble that defines how they look:
+ *   \resumeHeader{name}{contact line}
+ *   \resumeSection{title}
+ *   \resumeEntry{title}{dates}{subtitle}{location}
+ *   \resumeEntryShort{title}{dates} (entries without a subtitle line)
+ *   resumeItems environment (bullet list)
+ *   \resumeSkillLine{heading}{skills}
+ *   resumeSkillColumns environment (two-column skill list)
+ */
+
+const COMMON_PACKAGES = String.raw`\usepackage[utf8]{inputenc}
+\usepackage[T1]{fontenc}
+\usepackage{lmodern}
+\usepackage{textcomp}
+\usepackage{enumitem}
+\usepackage{multicol}
+\usepackage{titlesec}
+\usepackage[hidelinks]{hyperref}
+\pagestyle{empty}
+\setlength{\parindent}{0pt}
+\setlist{nosep}`;
+
+const TEMPLATES = {
+  classic: {
+    name: 'classic',
+    description: 'Serif, centered header, ruled section headings',
+    preamble: String.raw`\documentclass[11pt,letterpaper]{article}
+\usepackage[margin=0.6in]{geometry}
+${COMMON_PACKAGES}
+
+\titleformat{\section}{\large\scshape}{}{0em}{}[\vspace{-4pt}\titlerule]
+\titlespacing*{\section}{0pt}{10pt}{6pt}
+
+\newcommand{\resumeHeader}[2]{%
+  \begin{center}
+    {\LARGE\bfseries #1}\\[4pt]
+    {\small #2}
+  \end{center}}
+\newcommand{\resumeSection}[1]{\section*{#1}}
+\newcommand{\resumeEntry}[4]{%
+  \textbf{#1}\hfill #2\\
+  \textit{#3}\hfill \textit{#4}\par\vspace{2pt}}
+\newcommand{\resumeEntryShort}[2]{\textbf{#1}\hfill #2\par\vspace{2pt}}
+\newenvironment{resumeItems}{\begin{itemize}[leftmargin=1.2em,label=\textbullet]\small}{\end{itemize}\vspace{4pt}}
+\newcommand{\resumeSkillLine}[2]{\textbf{#1:} #2\par}
+\newenvironment{resumeSkillColumns}{\begin{multicols}{2}\begin{itemize}[leftmargin=1.2em,label=\textbullet]\small}{\end{itemize}\end{multicols}}`
+  },
+
+  modern: {
+    name: 'modern',
+    description: 'Sans-serif, left-aligned header, colored section headings',
+    preamble: String.raw`\documentclass[10pt,letterpaper]{article}
+\usepackage[margin=0.5in]{geometry}
+${COMMON_PACKAGES}
+\usepackage{xcolor}
+\definecolor{accent}{RGB}{31,78,121}
+\renewcommand{\familydefault}{\sfdefault}
+
+\titleformat{\section}{\color{accent}\large\bfseries}{}{0em}{}[{\color{accent}\vspace{-2pt}\rule{\linewidth}{0.8pt}}]
+\titlespacing*{\section}{0pt}{8pt}{4pt}
+
+\newcommand{\resumeHeader}[2]{%
+  {\Huge\bfseries\color{accent} #1}\par\vspace{4pt}
+  {\small #2}\par\vspace{6pt}}
+\newcommand{\resumeSection}[1]{\section*{#1}}
+\newcommand{\resumeEntry}[4]{%
+  {\bfseries #1}\hfill {\color{accent}#2}\\
+  #3\hfill {\small #4}\par\vspace{1pt}}
+\newcommand{\resumeEntryShort}[2]{{\bfseries #1}\hfill {\color{accent}#2}\par\vspace{1pt}}
+\newenvironment{resumeItems}{\begin{itemize}[leftmargin=1em,label={\color{accent}\textbullet}]}{\end{itemize}\vspace{3pt}}
+\newcommand{\resumeSkillLine}[2]{{\bfseries\color{accent}#1:} #2\par}
+\newenvironment{resumeSkillColumns}{\begin{multicols}{2}\begin{itemize}[leftmargin=1em,label={\color{accent}\textbullet}]}{\end{itemize}\end{multicols}}`
+  }
+};
+
+const DEFAULT_TEMPLATE = 'classic';
+
+function getLatexTemplate(name) {
+  const key = name || DEFAULT_TEMPLATE;
+  // Own keys only: "constructor" etc. must count as unknown templates
+  return typeof key === 'string' && Object.hasOwn(TEMPLATES, key) ? TEMPLATES[key] : null;
+}
+
+function listLatexTemplates() {
+  return Object.values(TEMPLATES).map(({ name, description }) => ({ name, description }));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  getLatexTemplate,
+  listLatexTemplates
+};
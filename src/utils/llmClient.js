@@ -0,0 +1,469 @@
+// backend/src/utils/llmClient.js
+const LLM_CONFIG = require('./llms.json');
+const { getProvider, getProviderApiKeys } = require('./llmProviders');
+const { AppError, ERROR_CODES } = require('./errors');
+
+/**
+ * Ordered model candidates serving a controller (feature).
+ * llms.json maps each feature to a list of { provider, model, temperature, maxOutputTokens,
+ * timeoutMs } tried in order; features without a route use "default". LLM_PROVIDER (and
+ * optionally LLM_MODEL) replace the list with a single model for every feature, e.g.
+ * LLM_PROVIDER=mock for offline development.
+ * @param {string} controllerName
+ * @returns {Array<{provider: Object, model: string, temperature?: number, maxOutputTokens?: number, timeoutMs?: number}>}
+ */
+function resolveCandidates(controllerName) {
+  const candidates = LLM_CONFIG.routes[controllerName] || LLM_CONFIG.default;
+
+  if (process.env.LLM_PROVIDER) {
+    const provider = getProvider(process.env.LLM_PROVIDER);
+    const { temperature, maxOutputTokens, timeoutMs } = candidates[0];
+    return [{
+      provider,
+      model: process.env.LLM_MODEL || provider.config.defaultModel,
+      temperature,
+      maxOutputTokens,
+      timeoutMs
+    }];
+  }
+
+  return candidates.map(candidate => ({ ...candidate, provider: getProvider(candidate.provider) }));
+}
+
+// Candidates whose provider has API keys configured, with the keys attached
+function getUsableCandidates(controllerName) {
+  const candidates = resolveCandidates(controllerName);
+  const usable = [];
+  for (const candidate of candidates) {
+    const apiKeys = getProviderApiKeys(candidate.provider.config);
+    if (apiKeys.length) {
+      usable.push({ ...candidate, apiKeys });
+    } else {
+      console.log(`[${controllerName}] Skipping ${candidate.provider.name}/${candidate.model}: no API keys configured`);
+    }
+  }
+
+  if (usable.length === 0) {
+    const envNames = [...new Set(candidates.flatMap(({ provider }) => provider.config.apiKeyEnv || []))].join(', ');
+    throw new AppError(
+      ERROR_CODES.CONFIGURATION_ERROR,
+      `No API keys configured for the ${controllerName} models. Please set ${envNames || 'an API key'} in environment variables.`,
+      500
+    );
+  }
+  return usable;
+}
+
+function isTimeoutError(error) {
+  return ['ETIMEDOUT', 'ECONNABORTED'].includes(String(error?.code || ''));
+}
+
+/**
+ * Check if error is a retryable error (503, 429, timeouts, temporary issues)
+ * This detects errors like Gemini's "503 Service Unavailable" and "overloaded"
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  const errorMessage = (error.message || '').toLowerCase();
+  const errorCode = String(error.code || '');
+  const errorStatus = String(error.status || '');
+
+  // Example: "[GoogleGenerativeAI Error]: ... [503 Service Unavailable] The model is overloaded."
+  const isRetryable = (
+    errorMessage.includes('503') ||
+    errorMessage.includes('service unavailable') ||
+    errorMessage.includes('overloaded') ||
+    errorMessage.includes('try again later') ||
+    errorMessage.includes('temporarily unavailable') ||
+    ['429', '500', '502', '503', '504'].includes(errorStatus) ||
+    ['429', '503', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET'].includes(errorCode)
+  );
+
+  return isRetryable;
+}
+
+/**
+ * Record one LLM call (tokens, provider, model, key, retries, latency) on the request's call list.
+ * The audit log middleware persists the list as LlmUsage rows linked to the audit entry.
+ */
+function recordLlmCall(llmCalls, call) {
+  if (!Array.isArray(llmCalls)) {
+    return;
+  }
+  const usageMetadata = call.usageMetadata || call.response?.usageMetadata || {};
+  llmCalls.push({
+    controller: call.controllerName,
+    provider: call.provider,
+    model: call.model,
+    keyIndex: call.keyIndex,
+    retryCount: call.retryCount,
+    promptTokens: usageMetadata.promptTokenCount ?? null,
+    candidatesTokens: usageMetadata.candidatesTokenCount ?? null,
+    totalTokens: usageMetadata.totalTokenCount ?? null,
+    latencyMs: Date.now() - call.startTime,
+    success: !call.error,
+    errorMessage: call.error ? String(call.error.message || call.error).substring(0, 500) : null
+  });
+}
+
+// Turn a provider error into the AppError the controllers surface
+function toAiServiceError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (isTimeoutError(error)) {
+    return new AppError(
+      ERROR_CODES.AI_TIMEOUT,
+      'AI service took too long to respond. Please try again.',
+      504
+    );
+  }
+  // Check if it was a service unavailable error
+  const errorMessage = (error.message || '').toLowerCase();
+  if (errorMessage.includes('overloaded') || errorMessage.includes('service unavailable')) {
+    return new AppError(
+      ERROR_CODES.AI_SERVICE_ERROR,
+      'AI service is temporarily overloaded. Please try again in a few moments.',
+      503
+    );
+  }
+  return new AppError(
+    ERROR_CODES.AI_SERVICE_ERROR,
+    error.message || 'AI service error occurred',
+    502
+  );
+}
+
+function buildProviderParams(candidate, apiKey, prompt, controllerName) {
+  return {
+    config: candidate.provider.config,
+    apiKey,
+    model: candidate.model,
+    prompt,
+    temperature: candidate.temperature,
+    maxOutputTokens: candidate.maxOutputTokens,
+    timeoutMs: candidate.timeoutMs,
+    controllerName
+  };
+}
+
+function logResponse(controllerName, response, apiCallTime) {
+  const responseText = response.text();
+  const responseLength = responseText.length;
+  const responseWordCount = responseText.split(/\s+/).length;
+
+  // Extract usage metadata
+  const usageMetadata = response.usageMetadata || {};
+  const promptTokenCount = usageMetadata.promptTokenCount || 'N/A';
+  const candidatesTokenCount = usageMetadata.candidatesTokenCount || 'N/A';
+  const totalTokenCount = usageMetadata.totalTokenCount || 'N/A';
+
+  console.log(`[${controllerName}] ✅ ${response.provider}/${response.model} responded in ${apiCallTime}ms`);
+
+  // Log token usage explicitly (input and output tokens)
+  console.log(`[${controllerName}] 🎯 TOKEN USAGE:`);
+  console.log(`[${controllerName}]    📥 INPUT TOKENS:  ${promptTokenCount}`);
+  console.log(`[${controllerName}]    📤 OUTPUT TOKENS: ${candidatesTokenCount}`);
+  console.log(`[${controllerName}]    📊 TOTAL TOKENS:  ${totalTokenCount}`);
+
+  if (promptTokenCount !== 'N/A' && candidatesTokenCount !== 'N/A') {
+    const inputOutputRatio = ((promptTokenCount / (promptTokenCount + candidatesTokenCount)) * 100).toFixed(1);
+    console.log(`[${controllerName}]    📈 Input/Output Ratio: ${inputOutputRatio}% input, ${(100 - inputOutputRatio).toFixed(1)}% output`);
+  }
+
+  if (totalTokenCount !== 'N/A' && apiCallTime > 0) {
+    const tokensPerSecond = ((totalTokenCount / apiCallTime) * 1000).toFixed(2);
+    const inputTokensPerSecond = promptTokenCount !== 'N/A' ? ((promptTokenCount / apiCallTime) * 1000).toFixed(2) : 'N/A';
+    const outputTokensPerSecond = candidatesTokenCount !== 'N/A' ? ((candidatesTokenCount / apiCallTime) * 1000).toFixed(2) : 'N/A';
+    console.log(`[${controllerName}]    ⚡ Tokens/Second: ${tokensPerSecond} (Input: ${inputTokensPerSecond}, Output: ${outputTokensPerSecond})`);
+  }
+
+  console.log(`[${controllerName}] 📊 Response Details:`, {
+    responseLength: responseLength,
+    responseWordCount: responseWordCount,
+    responseSizeKB: (responseLength / 1024).toFixed(2),
+    finishReason: response.finishReason || 'N/A'
+  });
+}
+
+// Log the complete raw error object for debugging
+function logAttemptError(controllerName, error, attempt) {
+  console.error('\n' + '='.repeat(80));
+  console.error(`[${controllerName}] LLM API ERROR (${attempt.label}) - API Key ${attempt.keyIndex}${attempt.keyIndex > 1 ? ' (FALLBACK)' : ' (PRIMARY)'}${attempt.retryAttempt > 0 ? ` - RETRY ${attempt.retryAttempt}/${attempt.maxRetries}` : ''}`);
+  console.error('='.repeat(80));
+
+  // Log all error properties
+  console.error('Error Type:', error.constructor.name);
+  console.error('Error Name:', error.name);
+  console.error('Error Message:', error.message);
+  console.error('Error Code:', error.code);
+  console.error('Error Status:', error.status);
+  console.error('Error Status Code:', error.statusCode);
+
+  // Log full error object structure
+  console.error('\n--- Full Error Object ---');
+  console.error(JSON.stringify(error, Object.getOwnPropertyNames(error), 2));
+
+  // Log error stack if available
+  if (error.stack) {
+    console.error('\n--- Error Stack Trace ---');
+    console.error(error.stack);
+  }
+
+  // Log additional properties that might exist
+  if (error.cause) {
+    console.error('\n--- Error Cause ---');
+    console.error(JSON.stringify(error.cause, null, 2));
+  }
+
+  // Log retry information
+  console.error('\n--- Retry Information ---');
+  console.error('Is Retryable:', attempt.isRetryable);
+  console.error('Retry Attempt:', attempt.retryAttempt);
+  console.error('Max Retries:', attempt.maxRetries);
+  console.error('API Key Index:', attempt.keyIndex);
+  console.error('='.repeat(80) + '\n');
+}
+
+/**
+ * Generate content, falling through the feature's model candidates (llms.json) and each
+ * provider's API keys. Retryable errors (overload, rate limit, timeout) are retried with backoff,
+ * then move on to the next key; once a model's keys are exhausted the next model is tried, but
+ * only if the last error was retryable.
+ * @param {string} prompt - The prompt to send to the model
+ * @param {string} controllerName - Name of the controller for logging and model routing (llms.json)
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=2] - Maximum number of retries per key
+ * @param {Array} [options.llmCalls] - Request's LLM call list (req.llmCalls) for token accounting
+ * @returns {Promise<Object>} - Provider response (text(), usageMetadata, provider, model)
+ */
+async function generateContentWithFallback(prompt, controllerName = 'UNKNOWN', { maxRetries = 2, llmCalls = null } = {}) {
+  const candidates = getUsableCandidates(controllerName);
+  const callStartTime = Date.now();
+  let attempts = 0;
+
+  let lastError = null;
+  let lastAttempt = null;
+
+  for (let c = 0; c < candidates.length; c++) {
+    const candidate = candidates[c];
+    const label = `${candidate.provider.name}/${candidate.model}`;
+
+    if (c > 0) {
+      console.log(`[${controllerName}] Falling back to model ${label} (candidate ${c + 1}/${candidates.length})`);
+    }
+
+    for (let i = 0; i < candidate.apiKeys.length; i++) {
+      const apiKey = candidate.apiKeys[i];
+      const keyIndex = i + 1;
+      const isFallback = i > 0;
+
+      // Try this key with retries
+      for (let retryAttempt = 0; retryAttempt <= maxRetries; retryAttempt++) {
+        attempts++;
+        lastAttempt = { candidate, keyIndex };
+        try {
+          if (retryAttempt > 0) {
+            // Exponential backoff: 1s, 2s, 4s
+            const delay = Math.pow(2, retryAttempt - 1) * 1000;
+            console.log(`[${controllerName}] Retrying ${label} with API key ${keyIndex} (attempt ${retryAttempt + 1}/${maxRetries + 1}) after ${delay}ms delay...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+          } else {
+            console.log(`[${controllerName}] Attempting ${label} with API key ${keyIndex}${isFallback ? ' (fallback)' : ' (primary)'}`);
+          }
+
+          const apiCallStartTime = Date.now();
+
+          // Log request details
+          const promptLength = prompt.length;
+          const promptWordCount = prompt.split(/\s+/).length;
+          console.log(`[${controllerName}] 🚀 Sending request to ${candidate.provider.name}...`);
+          console.log(`[${controllerName}] 📝 Request Details:`, {
+            provider: candidate.provider.name,
+            model: candidate.model,
+            temperature: candidate.temperature ?? 'default',
+            maxOutputTokens: candidate.maxOutputTokens ?? 'default',
+            timeoutMs: candidate.timeoutMs ?? 'none',
+            promptLength: promptLength,
+            promptWordCount: promptWordCount,
+            promptSizeKB: (promptLength / 1024).toFixed(2),
+            estimatedTokens: Math.ceil(promptWordCount * 1.3) // Rough estimate: ~1.3 tokens per word
+          });
+
+          const response = await candidate.provider.adapter.generate(
+            buildProviderParams(candidate, apiKey, prompt, controllerName)
+          );
+          logResponse(controllerName, response, Date.now() - apiCallStartTime);
+
+          if (c > 0 || isFallback || retryAttempt > 0) {
+            console.log(`[${controllerName}] Successfully used ${label} with ${isFallback ? 'fallback ' : ''}API key ${keyIndex} after ${attempts - 1} failed attempts`);
+          }
+
+          recordLlmCall(llmCalls, {
+            controllerName,
+            provider: candidate.provider.name,
+            model: candidate.model,
+            keyIndex,
+            retryCount: attempts - 1,
+            startTime: callStartTime,
+            response
+          });
+
+          return response;
+
+        } catch (error) {
+          lastError = error;
+          const isRetryable = isRetryableError(error);
+          logAttemptError(controllerName, error, { label, keyIndex, retryAttempt, maxRetries, isRetryable });
+
+          // If it's retryable and we haven't exhausted retries, try again
+          if (isRetryable && retryAttempt < maxRetries) {
+            continue; // Retry this key
+          }
+
+          // Not retryable or retries exhausted for this key: move to next key
+          break;
+        }
+      }
+
+      // If we have more keys, try the next one
+      if (i < candidate.apiKeys.length - 1) {
+        console.log(`[${controllerName}] API key ${keyIndex} failed for ${label}, trying fallback API key ${i + 2}...`);
+      }
+    }
+
+    // Only outages, rate limits and timeouts justify trying another model
+    if (!isRetryableError(lastError)) {
+      break;
+    }
+  }
+
+  // We've exhausted all models, keys and retries: log final error and throw
+  recordLlmCall(llmCalls, {
+    controllerName,
+    provider: lastAttempt.candidate.provider.name,
+    model: lastAttempt.candidate.model,
+    keyIndex: lastAttempt.keyIndex,
+    retryCount: Math.max(0, attempts - 1),
+    startTime: callStartTime,
+    error: lastError
+  });
+
+  console.error('\n' + '='.repeat(80));
+  console.error(`[${controllerName}] ALL MODELS AND API KEYS EXHAUSTED - FINAL ERROR`);
+  console.error('='.repeat(80));
+  console.error('Final Error Type:', lastError.constructor.name);
+  console.error('Final Error Name:', lastError.name);
+  console.error('Final Error Message:', lastError.message);
+  console.error('Final Error Code:', lastError.code);
+  console.error('Final Error Status:', lastError.status);
+  console.error('\n--- Complete Final Error Object ---');
+  console.error(JSON.stringify(lastError, Object.getOwnPropertyNames(lastError), 2));
+  if (lastError.stack) {
+    console.error('\n--- Final Error Stack Trace ---');
+    console.error(lastError.stack);
+  }
+  console.error('='.repeat(80) + '\n');
+
+  throw toAiServiceError(lastError);
+}
+
+/**
+ * Stream generated text. Falls through models and API keys like generateContentWithFallback,
+ * but only while nothing has been streamed yet; there are no same-key retries.
+ * @param {string} prompt - The prompt to send to the model
+ * @param {string} controllerName - Name of the controller for logging and model routing (llms.json)
+ * @param {Object} [options]
+ * @param {Array} [options.llmCalls] - Request's LLM call list (req.llmCalls) for token accounting
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+async function* streamContentWithFallback(prompt, controllerName = 'UNKNOWN', { llmCalls = null } = {}) {
+  const candidates = getUsableCandidates(controllerName);
+  const callStartTime = Date.now();
+  let attempts = 0;
+  let lastError = null;
+  let lastAttempt = null;
+  let streamed = false;
+
+  for (const candidate of candidates) {
+    const label = `${candidate.provider.name}/${candidate.model}`;
+
+    for (let i = 0; i < candidate.apiKeys.length; i++) {
+      const keyIndex = i + 1;
+      let usageMetadata = null;
+      attempts++;
+      lastAttempt = { candidate, keyIndex };
+      try {
+        console.log(`[${controllerName}] 🚀 Streaming from ${label} with API key ${keyIndex}`);
+        const stream = candidate.provider.adapter.stream(
+          buildProviderParams(candidate, candidate.apiKeys[i], prompt, controllerName)
+        );
+        for await (const chunk of stream) {
+          usageMetadata = chunk.usageMetadata || usageMetadata;
+          if (chunk.text) {
+            streamed = true;
+            yield chunk.text;
+          }
+        }
+        recordLlmCall(llmCalls, {
+          controllerName,
+          provider: candidate.provider.name,
+          model: candidate.model,
+          keyIndex,
+          retryCount: attempts - 1,
+          startTime: callStartTime,
+          usageMetadata
+        });
+        return;
+      } catch (error) {
+        lastError = error;
+        console.error(`[${controllerName}] LLM stream error (${label}) - API Key ${keyIndex}:`, error.message);
+        if (streamed) {
+          break;
+        }
+      }
+    }
+
+    // A partially streamed response can't be resumed by another model
+    if (streamed || !isRetryableError(lastError)) {
+      break;
+    }
+  }
+
+  recordLlmCall(llmCalls, {
+    controllerName,
+    provider: lastAttempt.candidate.provider.name,
+    model: lastAttempt.candidate.model,
+    keyIndex: lastAttempt.keyIndex,
+    retryCount: Math.max(0, attempts - 1),
+    startTime: callStartTime,
+    error: lastError
+  });
+  throw toAiServiceError(lastError);
+}
+
+/**
+ * Count prompt tokens with the feature's first usable model
+ * (estimated for providers without a tokenizer endpoint)
+ * @param {string} prompt
+ * @param {string} controllerName - Selects the model (llms.json)
+ * @returns {Promise<number>}
+ */
+async function countTokens(prompt, controllerName = 'UNKNOWN') {
+  const [candidate] = getUsableCandidates(controllerName);
+  try {
+    return await candidate.provider.adapter.countTokens(
+      buildProviderParams(candidate, candidate.apiKeys[0], prompt, controllerName)
+    );
+  } catch (error) {
+    throw toAiServiceError(error);
+  }
+}
+
+module.exports = {
+  generateContentWithFallback,
+  streamContentWithFallback,
+  countTokens,
+  resolveCandidates
+};
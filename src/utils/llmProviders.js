@@ -0,0 +1,289 @@
+// src/utils/llmProviders.js
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { GoogleGenerativeAI, GoogleGenerativeAIAbortError } = require('@google/generative-ai');
+const LLM_CONFIG = require('./llms.json');
+const { AppError, ERROR_CODES } = require('./errors');
+
+/**
+ * LLM provider adapters.
+ * Every provider type implements the same interface, so llmClient can serve a controller from
+ * whichever provider llms.json names:
+ *   generate(params)    -> Promise<response>
+ *   stream(params)      -> async iterable of { text, usageMetadata }
+ *   countTokens(params) -> Promise<number>
+ * params: { config, apiKey, model, prompt, temperature, maxOutputTokens, timeoutMs, controllerName }
+ * A response exposes text() and usageMetadata (promptTokenCount, candidatesTokenCount,
+ * totalTokenCount), the same shape as a Gemini SDK response, plus provider, model and finishReason.
+ */
+
+function buildResponse({ provider, model, text, usageMetadata, finishReason }) {
+  return {
+    provider,
+    model,
+    finishReason: finishReason || null,
+    usageMetadata: usageMetadata || {},
+    text: () => text
+  };
+}
+
+// Rough token estimate (~4 characters per token) for providers without a tokenizer endpoint
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function withTimeoutCode(error) {
+  if (error instanceof GoogleGenerativeAIAbortError) {
+    error.code = 'ETIMEDOUT';
+  }
+  return error;
+}
+
+// ---------------------------------------------------------------------------
+// Gemini (@google/generative-ai)
+// ---------------------------------------------------------------------------
+
+function getGeminiModel({ apiKey, model, temperature, maxOutputTokens, timeoutMs }) {
+  const generationConfig = {};
+  if (temperature !== undefined) generationConfig.temperature = temperature;
+  if (maxOutputTokens !== undefined) generationConfig.maxOutputTokens = maxOutputTokens;
+  return new GoogleGenerativeAI(apiKey).getGenerativeModel(
+    { model, generationConfig },
+    timeoutMs ? { timeout: timeoutMs } : undefined
+  );
+}
+
+const geminiProvider = {
+  async generate(params) {
+    try {
+      const { response } = await getGeminiModel(params).generateContent(params.prompt);
+      return buildResponse({
+        provider: params.config.name,
+        model: params.model,
+        text: response.text(),
+        usageMetadata: response.usageMetadata,
+        finishReason: response.candidates?.[0]?.finishReason
+      });
+    } catch (error) {
+      throw withTimeoutCode(error);
+    }
+  },
+
+  async *stream(params) {
+    try {
+      const { stream } = await getGeminiModel(params).generateContentStream(params.prompt);
+      for await (const chunk of stream) {
+        yield { text: chunk.text(), usageMetadata: chunk.usageMetadata || null };
+      }
+    } catch (error) {
+      throw withTimeoutCode(error);
+    }
+  },
+
+  async countTokens(params) {
+    const { totalTokens } = await getGeminiModel(params).countTokens(params.prompt);
+    return totalTokens;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible chat completions (OpenAI, Ollama, llama.cpp server, vLLM, ...)
+// ---------------------------------------------------------------------------
+
+function getBaseUrl(config) {
+  const baseUrl = (config.baseUrlEnv && process.env[config.baseUrlEnv]) || config.baseUrl;
+  if (!baseUrl) {
+    throw new AppError(ERROR_CODES.CONFIGURATION_ERROR, `No base URL configured for LLM provider ${config.name}`, 500);
+  }
+  return baseUrl.replace(/\/+$/, '');
+}
+
+function buildChatRequest({ config, apiKey, model, prompt, temperature, maxOutputTokens, timeoutMs }, stream) {
+  const body = { model, messages: [{ role: 'user', content: prompt }] };
+  if (temperature !== undefined) body.temperature = temperature;
+  if (maxOutputTokens !== undefined) body.max_tokens = maxOutputTokens;
+  if (stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+  return {
+    url: `${getBaseUrl(config)}/chat/completions`,
+    body,
+    options: { headers, timeout: timeoutMs || 0, responseType: stream ? 'stream' : 'json' }
+  };
+}
+
+function toUsageMetadata(usage) {
+  if (!usage) {
+    return null;
+  }
+  return {
+    promptTokenCount: usage.prompt_tokens ?? null,
+    candidatesTokenCount: usage.completion_tokens ?? null,
+    totalTokenCount: usage.total_tokens ?? null
+  };
+}
+
+// Carry the HTTP status over so llmClient can tell retryable errors apart
+function toProviderError(error, config) {
+  if (!error.isAxiosError) {
+    return error;
+  }
+  const status = error.response?.status;
+  const detail = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+  const wrapped = new Error(`[${config.name}] ${status ? `${status} ` : ''}${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+  wrapped.status = status;
+  wrapped.code = error.code;
+  return wrapped;
+}
+
+const openAiCompatibleProvider = {
+  async generate(params) {
+    const { url, body, options } = buildChatRequest(params, false);
+    try {
+      const { data } = await axios.post(url, body, options);
+      const choice = data.choices?.[0] || {};
+      return buildResponse({
+        provider: params.config.name,
+        model: data.model || params.model,
+        text: choice.message?.content || '',
+        usageMetadata: toUsageMetadata(data.usage),
+        finishReason: choice.finish_reason
+      });
+    } catch (error) {
+      throw toProviderError(error, params.config);
+    }
+  },
+
+  // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+  async *stream(params) {
+    const { url, body, options } = buildChatRequest(params, true);
+    let response;
+    try {
+      response = await axios.post(url, body, options);
+    } catch (error) {
+      throw toProviderError(error, params.config);
+    }
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice('data:'.length).trim();
+        if (payload === '[DONE]') return;
+        const event = JSON.parse(payload);
+        yield {
+          text: event.choices?.[0]?.delta?.content || '',
+          usageMetadata: toUsageMetadata(event.usage)
+        };
+      }
+    }
+  },
+
+  // The chat completions API has no tokenizer endpoint
+  async countTokens({ prompt }) {
+    return estimateTokens(prompt);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Mock provider: deterministic, offline responses for local development
+// ---------------------------------------------------------------------------
+
+let mockResponsesFromFile;
+
+function loadMockResponsesFile(config) {
+  if (mockResponsesFromFile === undefined) {
+    const file = config.responsesFileEnv && process.env[config.responsesFileEnv];
+    mockResponsesFromFile = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+  return mockResponsesFromFile;
+}
+
+// Canned response for the controller if configured, otherwise a fixed text derived from the prompt
+function getMockText({ config, prompt, controllerName }) {
+  const canned = loadMockResponsesFile(config)[controllerName] ?? config.responses?.[controllerName];
+  if (canned !== undefined) {
+    return typeof canned === 'string' ? canned : JSON.stringify(canned);
+  }
+  const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+  return `Mock response for ${controllerName} (prompt ${digest})`;
+}
+
+const mockProvider = {
+  async generate(params) {
+    const text = getMockText(params);
+    const promptTokenCount = estimateTokens(params.prompt);
+    const candidatesTokenCount = estimateTokens(text);
+    return buildResponse({
+      provider: params.config.name,
+      model: params.model,
+      text,
+      usageMetadata: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount },
+      finishReason: 'STOP'
+    });
+  },
+
+  async *stream(params) {
+    const response = await mockProvider.generate(params);
+    const words = response.text().split(/(?<=\s)/);
+    for (let i = 0; i < words.length; i++) {
+      yield { text: words[i], usageMetadata: i === words.length - 1 ? response.usageMetadata : null };
+    }
+  },
+
+  async countTokens({ prompt }) {
+    return estimateTokens(prompt);
+  }
+};
+
+const PROVIDER_TYPES = {
+  gemini: geminiProvider,
+  openai: openAiCompatibleProvider,
+  mock: mockProvider
+};
+
+/**
+ * Provider configured in llms.json, with its adapter
+ * @param {string} name - Provider name (key of llms.json "providers")
+ * @returns {{name: string, config: Object, adapter: Object}}
+ */
+function getProvider(name) {
+  const entry = LLM_CONFIG.providers[name];
+  const adapter = entry && PROVIDER_TYPES[entry.type];
+  if (!adapter) {
+    throw new AppError(ERROR_CODES.CONFIGURATION_ERROR, `Unknown LLM provider: ${name}`, 500);
+  }
+  return { name, config: { name, ...entry }, adapter };
+}
+
+/**
+ * API keys for a provider, primary first, read from the env variables listed in apiKeyEnv.
+ * Providers that don't need a key (local servers, mock) get a single null key.
+ * @param {Object} config - Provider config (see getProvider)
+ * @returns {Array<string|null>}
+ */
+function getProviderApiKeys(config) {
+  const keys = (config.apiKeyEnv || []).map(name => process.env[name]).filter(Boolean);
+  if (keys.length === 0 && config.apiKeyRequired === false) {
+    return [null];
+  }
+  return keys;
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  getProvider,
+  getProviderApiKeys,
+  estimateTokens
+};
@@ -0,0 +1,94 @@
+// src/utils/markdownRenderer.js
+const { getOrderedSections, getHeader } = require('./resumeLayout');
+
+/**
+ * Escape characters that Markdown would otherwise treat as formatting
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeMarkdown(value) {
+  return String(value ?? '')
+    .replace(/[\\`*_[\]<>|]/g, char => `\\${char}`)
+    .replace(/^(\s*)([#+-])(\s)/, '$1\\$2$3')
+    .replace(/^(\s*)(\d+)\.(\s)/, '$1$2\\.$3')
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+// Percent-encode characters that would end a Markdown link destination early
+function escapeUrl(url) {
+  return String(url ?? '').replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+function renderLink(label, url) {
+  return url ? `[${escapeMarkdown(label)}](${escapeUrl(url)})` : escapeMarkdown(label);
+}
+
+function renderEntry(entry) {
+  const title = entry.link ? renderLink(entry.title, entry.link) : escapeMarkdown(entry.title);
+  const lines = [`### ${[title, escapeMarkdown(entry.subtitle)].filter(Boolean).join(' — ')}`];
+  const meta = [entry.dates, entry.location].filter(Boolean).map(escapeMarkdown).join(' · ');
+  if (meta) {
+    lines.push(`*${meta}*`);
+  }
+  if (entry.bullets.length) {
+    lines.push('', ...entry.bullets.map(bullet => `- ${escapeMarkdown(bullet)}`));
+  }
+  return lines.join('\n');
+}
+
+function renderSection(section) {
+  const lines = [`## ${escapeMarkdown(section.title)}`, ''];
+
+  switch (section.type) {
+    case 'paragraph':
+      lines.push(escapeMarkdown(section.text));
+      break;
+    case 'entries':
+      lines.push(section.entries.map(renderEntry).join('\n\n'));
+      break;
+    case 'skillGroups':
+      lines.push(section.groups
+        .map(group => `- **${escapeMarkdown(group.heading)}:** ${escapeMarkdown(group.skills.join(', '))}`)
+        .join('\n'));
+      break;
+    case 'skillList':
+      lines.push(section.skills.map(escapeMarkdown).join(', '));
+      break;
+    case 'custom':
+      lines.push([
+        section.entries.map(renderEntry).join('\n\n'),
+        section.bullets.map(bullet => `- ${escapeMarkdown(bullet)}`).join('\n')
+      ].filter(Boolean).join('\n\n'));
+      break;
+    default:
+      break;
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render resume data as a Markdown document
+ * @param {Object} resume - Resume data in the shape returned by buildResumeData
+ * @returns {string}
+ */
+function renderResumeMarkdown(resume) {
+  const header = getHeader(resume.personalInfo);
+  const headerLines = [`# ${escapeMarkdown(header.name || 'Resume')}`];
+  if (header.title) {
+    headerLines.push('', `**${escapeMarkdown(header.title)}**`);
+  }
+  if (header.contacts.length) {
+    headerLines.push('', header.contacts.map(contact => renderLink(contact.label, contact.url)).join(' | '));
+  }
+
+  return [
+    headerLines.join('\n'),
+    ...getOrderedSections(resume).map(renderSection)
+  ].join('\n\n') + '\n';
+}
+
+module.exports = {
+  escapeMarkdown,
+  renderResumeMarkdown
+};
@@ -0,0 +1,53 @@
+// src/utils/rateLimitStore.js
+
+/**
+ * Token bucket storage for the rate limit middleware.
+ * A store implements `consume(key, { capacity, refillPerSecond, cost })` and resolves to
+ * `{ allowed, remaining, resetSeconds, retryAfterSeconds }`. The in-memory store below is
+ * per process; a shared store (e.g. Redis) can be plugged in with setRateLimitStore in
+ * middleware/rateLimit.js once the API runs on more than one instance.
+ */
+
+// Buckets untouched for this long are full again and can be dropped
+const IDLE_SWEEP_MS = 10 * 60 * 1000;
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), IDLE_SWEEP_MS);
+    this.sweepTimer.unref();
+  }
+
+  async consume(key, { capacity, refillPerSecond, cost = 1 }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    // Refill for the time since the last request, up to capacity
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) {
+      bucket.tokens -= cost;
+    }
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((capacity - bucket.tokens) / refillPerSecond),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerSecond)
+    };
+  }
+
+  sweep() {
+    const cutoff = Date.now() - IDLE_SWEEP_MS;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.updatedAt < cutoff) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { MemoryRateLimitStore };
@@ -0,0 +1,197 @@
+// src/utils/resumeHistory.js
+const { RESUME_SECTIONS, pickResumeSections } = require('./resumeSections');
+
+// Oldest versions beyond this count are pruned on every new snapshot
+const MAX_RESUME_VERSIONS = 100;
+
+// List sections whose items are objects and are compared field by field
+const OBJECT_LIST_SECTIONS = ['education', 'experience', 'projects', 'customSections', 'skillsLineTime'];
+
+/**
+ * Lock the user's row until the transaction ends, serializing resume history writes per user.
+ * READ COMMITTED alone lets two concurrent saves read the same latest version number.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId
+ */
+async function lockResumeHistory(tx, userId) {
+  await tx.$queryRaw`SELECT id FROM "User" WHERE id = ${userId} FOR UPDATE`;
+}
+
+/**
+ * Store a snapshot of the given ResumeSettings as the user's next version.
+ * Must be called with a transaction client; the user row is locked (lockResumeHistory) so
+ * concurrent saves get consecutive version numbers instead of colliding.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId
+ * @param {Object} settings - ResumeSettings row (or sections object) to snapshot
+ * @param {Object} options
+ * @param {string} [options.label] - Optional user-supplied label
+ * @param {string} [options.source] - "baseline" | "save" | "restore" | "import"
+ * @returns {Promise<Object>} - The created ResumeVersion
+ */
+async function createResumeSnapshot(tx, userId, settings, { label = null, source = 'save' } = {}) {
+  await lockResumeHistory(tx, userId);
+  const latest = await tx.resumeVersion.findFirst({
+    where: { userId },
+    orderBy: { versionNumber: 'desc' },
+    select: { versionNumber: true }
+  });
+  const versionNumber = (latest?.versionNumber || 0) + 1;
+
+  const version = await tx.resumeVersion.create({
+    data: {
+      userId,
+      versionNumber,
+      label: label ? String(label).trim().substring(0, 120) || null : null,
+      source,
+      snapshot: pickResumeSections(settings)
+    }
+  });
+
+  if (versionNumber > MAX_RESUME_VERSIONS) {
+    // Versions that tailored resumes were built on are kept so those resumes stay reproducible
+    await tx.resumeVersion.deleteMany({
+      where: {
+        userId,
+        versionNumber: { lte: versionNumber - MAX_RESUME_VERSIONS },
+        tailoredResumes: { none: {} }
+      }
+    });
+  }
+
+  return version;
+}
+
+/**
+ * Return the user's latest version, snapshotting the current ResumeSettings first if none exists yet
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - Latest ResumeVersion, or null when the user has no resume
+ */
+async function getOrCreateLatestVersion(tx, userId) {
+  const latest = await tx.resumeVersion.findFirst({
+    where: { userId, deletedAt: null },
+    orderBy: { versionNumber: 'desc' }
+  });
+  if (latest) {
+    return latest;
+  }
+
+  const settings = await tx.resumeSettings.findUnique({ where: { userId } });
+  if (!settings) {
+    return null;
+  }
+  return createResumeSnapshot(tx, userId, settings, { label: 'Initial version', source: 'baseline' });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (isPlainObject(value)) return Object.keys(value).length === 0;
+  return false;
+}
+
+function diffFields(before = {}, after = {}) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (!isEqual(before?.[key], after?.[key])) {
+      changes.push({ field: key, from: before?.[key] ?? null, to: after?.[key] ?? null });
+    }
+  }
+  return changes;
+}
+
+function diffStringList(before = [], after = []) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  return {
+    added: after.filter(item => !beforeSet.has(item)),
+    removed: before.filter(item => !afterSet.has(item)),
+    reordered: before.length === after.length &&
+      before.every(item => afterSet.has(item)) &&
+      !isEqual(before, after)
+  };
+}
+
+function diffObjectList(before = [], after = []) {
+  const items = [];
+  const length = Math.max(before.length, after.length);
+  for (let index = 0; index < length; index++) {
+    const from = before[index];
+    const to = after[index];
+    if (from === undefined) {
+      items.push({ index, status: 'added', to });
+    } else if (to === undefined) {
+      items.push({ index, status: 'removed', from });
+    } else if (!isEqual(from, to)) {
+      items.push({
+        index,
+        status: 'modified',
+        changes: isPlainObject(from) && isPlainObject(to) ? diffFields(from, to) : [{ field: null, from, to }]
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Build a section-by-section diff between two resume snapshots
+ * @param {Object} fromSnapshot - Older snapshot
+ * @param {Object} toSnapshot - Newer snapshot
+ * @returns {{changed: boolean, sections: Array<Object>}}
+ */
+function diffResumeSnapshots(fromSnapshot = {}, toSnapshot = {}) {
+  const sections = RESUME_SECTIONS.map(section => {
+    const before = fromSnapshot?.[section];
+    const after = toSnapshot?.[section];
+
+    if (isEqual(before, after)) {
+      return { section, status: 'unchanged' };
+    }
+    if (isEmpty(before)) {
+      return { section, status: 'added', to: after ?? null };
+    }
+    if (isEmpty(after)) {
+      return { section, status: 'removed', from: before ?? null };
+    }
+
+    const entry = { section, status: 'modified' };
+    if (section === 'skills' || section === 'sectionOrder') {
+      Object.assign(entry, diffStringList(before, after));
+      if (section === 'sectionOrder') {
+        entry.from = before;
+        entry.to = after;
+      }
+    } else if (OBJECT_LIST_SECTIONS.includes(section) && Array.isArray(before) && Array.isArray(after)) {
+      entry.items = diffObjectList(before, after);
+    } else if (isPlainObject(before) && isPlainObject(after)) {
+      entry.changes = diffFields(before, after);
+    } else {
+      entry.from = before;
+      entry.to = after;
+    }
+    return entry;
+  });
+
+  return {
+    changed: sections.some(section => section.status !== 'unchanged'),
+    sections
+  };
+}
+
+module.exports = {
+  MAX_RESUME_VERSIONS,
+  lockResumeHistory,
+  createResumeSnapshot,
+  getOrCreateLatestVersion,
+  diffResumeSnapshots
+};
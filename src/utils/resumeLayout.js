@@ -0,0 +1,235 @@
+// src/utils/resumeLayout.js
+
+/**
+ * Format-independent view of a resume for exporters (LaTeX, Markdown, ...).
+ * Resolves section order and display names and normalizes entry fields so each
+ * exporter only has to deal with presentation.
+ */
+
+// Built-in section keys with their default headings
+const DEFAULT_SECTION_NAMES = {
+  summary: 'Summary',
+  experience: 'Experience',
+  projects: 'Projects',
+  education: 'Education',
+  skills: 'Skills'
+};
+
+const DEFAULT_SECTION_ORDER = ['summary', 'experience', 'projects', 'education', 'skills'];
+
+// Keys the resume builder may use in sectionOrder/sectionNames for built-in sections
+const SECTION_KEY_ALIASES = {
+  summary: 'summary',
+  professionalsummary: 'summary',
+  profile: 'summary',
+  experience: 'experience',
+  workexperience: 'experience',
+  projects: 'projects',
+  education: 'education',
+  skills: 'skills',
+  technicalskills: 'skills'
+};
+
+function canonicalSectionKey(key) {
+  return SECTION_KEY_ALIASES[String(key || '').toLowerCase().replace(/[^a-z]/g, '')] || null;
+}
+
+function text(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+}
+
+/**
+ * Split a description (bullet string or array) into individual bullet lines
+ * @param {string|string[]} description
+ * @returns {string[]}
+ */
+function splitBullets(description) {
+  const lines = Array.isArray(description) ? description : String(description || '').split('\n');
+  return lines
+    .map(line => text(line).replace(/^[•●▪■◦‣*\-–]\s*/, ''))
+    .filter(Boolean);
+}
+
+function formatDateRange(startDate, endDate, current) {
+  const start = text(startDate);
+  const end = text(endDate) || (current ? 'Present' : '');
+  if (start && end) return `${start} – ${end}`;
+  return start || end;
+}
+
+function normalizeSkillList(skills) {
+  if (Array.isArray(skills)) {
+    return skills.map(text).filter(Boolean);
+  }
+  return String(skills || '').split(',').map(text).filter(Boolean);
+}
+
+function customSectionKey(section, index) {
+  return text(section.id) || `custom-${index}`;
+}
+
+function buildEntrySection(key, title, entries) {
+  return { key, type: 'entries', title, entries };
+}
+
+function buildSection(key, title, resume) {
+  switch (key) {
+    case 'summary': {
+      const summary = text(resume.professionalSummary);
+      return summary ? { key, type: 'paragraph', title, text: summary } : null;
+    }
+    case 'experience': {
+      const entries = (resume.experience || []).map(item => ({
+        title: text(item.position || item.title),
+        subtitle: text(item.company),
+        location: text(item.location),
+        dates: formatDateRange(item.startDate, item.endDate, item.current),
+        bullets: splitBullets(item.description)
+      }));
+      return entries.length ? buildEntrySection(key, title, entries) : null;
+    }
+    case 'projects': {
+      const entries = (resume.projects || []).map(item => ({
+        title: text(item.name || item.title),
+        subtitle: normalizeSkillList(item.technologies).join(', '),
+        location: '',
+        link: text(item.link || item.url),
+        dates: formatDateRange(item.startDate, item.endDate),
+        bullets: splitBullets(item.description)
+      }));
+      return entries.length ? buildEntrySection(key, title, entries) : null;
+    }
+    case 'education': {
+      const entries = (resume.education || []).map(item => {
+        const degree = [text(item.degree), text(item.field || item.fieldOfStudy)].filter(Boolean).join(', ');
+        const gpa = text(item.gpa);
+        return {
+          title: text(item.institution || item.school),
+          subtitle: gpa ? `${degree}${degree ? ' — ' : ''}GPA: ${gpa}` : degree,
+          location: text(item.location),
+          dates: formatDateRange(item.startDate, item.endDate, item.current),
+          bullets: splitBullets(item.description)
+        };
+      });
+      return entries.length ? buildEntrySection(key, title, entries) : null;
+    }
+    case 'skills': {
+      if (resume.skillsDisplayMode === 'lineTime' && Array.isArray(resume.skillsLineTime) && resume.skillsLineTime.length) {
+        const groups = resume.skillsLineTime
+          .map(group => ({ heading: text(group.heading), skills: normalizeSkillList(group.skills) }))
+          .filter(group => group.heading || group.skills.length);
+        return groups.length ? { key, type: 'skillGroups', title, groups } : null;
+      }
+      const skills = normalizeSkillList(resume.skills);
+      return skills.length ? { key, type: 'skillList', title, skills } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function buildCustomSection(section, index, title) {
+  const items = Array.isArray(section.items) ? section.items : [];
+  const entries = items
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      title: text(item.title || item.name),
+      subtitle: text(item.subtitle || item.organization || item.issuer),
+      location: text(item.location),
+      dates: text(item.date) || formatDateRange(item.startDate, item.endDate),
+      bullets: splitBullets(item.description)
+    }));
+  const bullets = [
+    ...splitBullets(section.content),
+    ...items.filter(item => typeof item === 'string').map(text).filter(Boolean)
+  ];
+
+  if (!entries.length && !bullets.length) {
+    return null;
+  }
+  return {
+    key: customSectionKey(section, index),
+    type: 'custom',
+    title,
+    entries,
+    bullets
+  };
+}
+
+/**
+ * Resolve the ordered, titled, non-empty sections of a resume.
+ * Honors sectionOrder and sectionNames; sections missing from sectionOrder are appended
+ * in the default order, followed by any custom sections not yet placed.
+ * @param {Object} resume - Resume data in the shape returned by buildResumeData
+ * @returns {Array<Object>}
+ */
+function getOrderedSections(resume) {
+  const sectionNames = resume.sectionNames || {};
+  const customSections = Array.isArray(resume.customSections) ? resume.customSections : [];
+  const customByKey = new Map(customSections.map((section, index) => [customSectionKey(section, index), { section, index }]));
+
+  const nameFor = (key, rawKey) => text(sectionNames[rawKey]) || text(sectionNames[key]) || DEFAULT_SECTION_NAMES[key];
+
+  const order = [];
+  const placed = new Set();
+  const place = (rawKey) => {
+    // "customSections" in sectionOrder stands for all custom sections at that position
+    if (String(rawKey).toLowerCase() === 'customsections') {
+      customByKey.forEach((_value, key) => place(key));
+      return;
+    }
+    const builtInKey = canonicalSectionKey(rawKey);
+    if (builtInKey && !placed.has(builtInKey)) {
+      placed.add(builtInKey);
+      order.push(buildSection(builtInKey, nameFor(builtInKey, rawKey), resume));
+    } else if (!builtInKey && customByKey.has(String(rawKey)) && !placed.has(String(rawKey))) {
+      const { section, index } = customByKey.get(String(rawKey));
+      placed.add(String(rawKey));
+      order.push(buildCustomSection(section, index, text(sectionNames[rawKey]) || text(section.title) || 'Additional'));
+    }
+  };
+
+  const requestedOrder = Array.isArray(resume.sectionOrder) ? resume.sectionOrder : [];
+  requestedOrder.forEach(place);
+  DEFAULT_SECTION_ORDER.forEach(place);
+  customByKey.forEach((_value, key) => place(key));
+
+  return order.filter(Boolean);
+}
+
+/**
+ * Collect the header fields of a resume
+ * @param {Object} personalInfo
+ * @returns {{name: string, contacts: Array<{label: string, url: string|null}>}}
+ */
+function getHeader(personalInfo = {}) {
+  const name = [text(personalInfo.firstName), text(personalInfo.lastName)].filter(Boolean).join(' ');
+  const contacts = [];
+
+  const addContact = (value, toUrl) => {
+    const label = text(value);
+    if (label) {
+      contacts.push({ label, url: toUrl ? toUrl(label) : null });
+    }
+  };
+  const asUrl = value => (/^https?:\/\//i.test(value) ? value : `https://${value}`);
+
+  addContact(personalInfo.email, value => `mailto:${value}`);
+  addContact(personalInfo.phone);
+  addContact(personalInfo.location);
+  addContact(personalInfo.linkedin, asUrl);
+  addContact(personalInfo.github, asUrl);
+  addContact(personalInfo.website || personalInfo.portfolio, asUrl);
+
+  return { name, title: text(personalInfo.title), contacts };
+}
+
+module.exports = {
+  DEFAULT_SECTION_NAMES,
+  getOrderedSections,
+  getHeader,
+  splitBullets,
+  formatDateRange,
+  normalizeSkillList
+};
@@ -0,0 +1,41 @@
+// src/utils/resumeSections.js
+
+/**
+ * Sections of ResumeSettings that clients are allowed to write
+ */
+const RESUME_SECTIONS = [
+  'personalInfo',
+  'professionalSummary',
+  'education',
+  'experience',
+  'skills',
+  'projects',
+  'customSections',
+  'skillsDisplayMode',
+  'skillsLineTime',
+  'sectionOrder',
+  'sectionNames',
+];
+
+/**
+ * Copy only the resume sections out of a ResumeSettings row (or any object)
+ * @param {Object} source
+ * @returns {Object}
+ */
+function pickResumeSections(source) {
+  const sections = {};
+  if (!source) {
+    return sections;
+  }
+  for (const section of RESUME_SECTIONS) {
+    if (source[section] !== undefined) {
+      sections[section] = source[section];
+    }
+  }
+  return sections;
+}
+
+module.exports = {
+  RESUME_SECTIONS,
+  pickResumeSections
+};
@@ -0,0 +1,312 @@
+// src/utils/resumeTextExtractor.js
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const { AppError, ValidationError, ERROR_CODES } = require('./errors');
+
+// Resumes longer than this are almost certainly not resumes; skip the rest
+const MAX_PDF_PAGES = 10;
+
+// Common resume headings, used to keep section boundaries visible to the parser prompt
+const SECTION_HEADINGS = [
+  'summary', 'professional summary', 'profile', 'objective', 'about me',
+  'experience', 'work experience', 'professional experience', 'employment history', 'work history',
+  'education', 'academic background',
+  'skills', 'technical skills', 'core competencies', 'key skills',
+  'projects', 'personal projects', 'academic projects',
+  'certifications', 'certificates', 'licenses', 'awards', 'achievements', 'honors',
+  'publications', 'languages', 'interests', 'volunteer experience', 'volunteering', 'leadership',
+  'activities', 'references', 'contact'
+];
+
+const BULLET_PATTERN = /^[•●▪■◦‣⁃∙·➢►*]\s*/;
+
+function isSectionHeading(line) {
+  const trimmed = line.trim().replace(/[:\s]+$/, '');
+  if (!trimmed || trimmed.length > 40) {
+    return false;
+  }
+  if (SECTION_HEADINGS.includes(trimmed.toLowerCase())) {
+    return true;
+  }
+  // Short all-caps lines ("WORK EXPERIENCE", "TECHNICAL SKILLS") are headings in most templates
+  return /^[A-Z][A-Z &/-]{2,}$/.test(trimmed) && trimmed.split(/\s+/).length <= 4;
+}
+
+/**
+ * Rebuild the lines of a PDF page from positioned text items.
+ * pdf.js returns text runs in content-stream order, which for multi-column or
+ * table-based resumes is not reading order, so items are regrouped by baseline.
+ */
+function renderPageLines(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false })
+    .then((textContent) => {
+      const items = textContent.items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({
+          str: item.str,
+          x: item.transform[4],
+          y: item.transform[5],
+          width: item.width || 0,
+          fontSize: Math.abs(item.transform[3]) || Math.abs(item.transform[0]) || 10
+        }));
+
+      // Group items sharing a baseline (within half a font size) into lines, top to bottom
+      items.sort((a, b) => b.y - a.y || a.x - b.x);
+      const lines = [];
+      for (const item of items) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - item.y) <= Math.max(line.fontSize, item.fontSize) * 0.5) {
+          line.items.push(item);
+        } else {
+          lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+        }
+      }
+
+      let text = '';
+      let previous = null;
+      for (const line of lines) {
+        line.items.sort((a, b) => a.x - b.x);
+
+        let lineText = '';
+        let lastEnd = null;
+        for (const item of line.items) {
+          if (lastEnd !== null) {
+            const gap = item.x - lastEnd;
+            if (gap > item.fontSize * 2) {
+              // Wide gaps separate columns (e.g. a job title and its dates)
+              lineText = lineText.trimEnd() + '\t';
+            } else if (gap > item.fontSize * 0.2 && !/\s$/.test(lineText) && !/^\s/.test(item.str)) {
+              lineText += ' ';
+            }
+          }
+          lineText += item.str;
+          lastEnd = item.x + item.width;
+        }
+
+        // Keep paragraph breaks: a vertical gap well above the line height becomes a blank line
+        if (previous) {
+          const gap = previous.y - line.y;
+          text += gap > Math.max(previous.fontSize, line.fontSize) * 1.9 ? '\n\n' : '\n';
+        }
+        text += lineText.trim();
+        previous = line;
+      }
+
+      return text;
+    });
+}
+
+/**
+ * Normalize extracted text: unify bullets, collapse stray whitespace and make sure
+ * every section heading starts a new paragraph.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeExtractedText(text) {
+  const lines = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ ]{2,}/g, ' ').trimEnd().replace(BULLET_PATTERN, '• '));
+
+  const output = [];
+  for (const line of lines) {
+    if (isSectionHeading(line) && output.length > 0 && output[output.length - 1] !== '') {
+      output.push('');
+    }
+    output.push(line);
+  }
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Extract text from a PDF buffer, preserving line and section structure
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<{text: string, pages: number}>}
+ */
+async function extractTextFromPdf(buffer) {
+  let parsed;
+  try {
+    // The bundled pdf.js rejects Node Buffers ("bad XRef entry"); hand it a plain Uint8Array copy
+    parsed = await pdfParse(new Uint8Array(buffer), { pagerender: renderPageLines, max: MAX_PDF_PAGES });
+  } catch (error) {
+    console.error('[ResumeTextExtractor] PDF parsing failed:', error.message);
+    throw new AppError(
+      ERROR_CODES.INVALID_FORMAT,
+      'Could not read the PDF file. It may be corrupted or password protected.',
+      400
+    );
+  }
+
+  const text = normalizeExtractedText(parsed.text || '');
+  if (!text) {
+    throw new ValidationError('No text could be extracted from the PDF. Scanned or image-only resumes are not supported.');
+  }
+
+  return { text, pages: parsed.numpages };
+}
+
+/**
+ * Extract text from a DOCX buffer. Converts through mammoth's HTML output so
+ * headings, paragraphs and list items keep their line structure.
+ * @param {Buffer} buffer - DOCX file contents
+ * @returns {Promise<{text: string}>}
+ */
+async function extractTextFromDocx(buffer) {
+  let html;
+  try {
+    ({ value: html } = await mammoth.convertToHtml({ buffer }));
+  } catch (error) {
+    console.error('[ResumeTextExtractor] DOCX parsing failed:', error.message);
+    throw new AppError(
+      ERROR_CODES.INVALID_FORMAT,
+      'Could not read the Word document. It may be corrupted or password protected.',
+      400
+    );
+  }
+
+  const text = html
+    .replace(/<li[^>]*>/gi, '• ')
+    .replace(/<\/(p|h[1-6]|li|tr)>/gi, '\n')
+    .replace(/<(h[1-6])[^>]*>/gi, '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+  return { text: normalizeExtractedText(text) };
+}
+
+/**
+ * Convert Markdown to plain resume text: headings become heading lines,
+ * list markers become bullets and inline formatting is dropped.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line
+      .replace(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/, '\n$1')
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '• ')
+      .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/, '')
+      .replace(/^\s*>\s?/, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[^*\w])[*_]([^*_\n]+)[*_](?=[^*\w]|$)/g, '$1$2')
+      .replace(/`([^`]+)`/g, '$1'))
+    .join('\n');
+}
+
+/**
+ * Decode a plain text / Markdown buffer, rejecting binary content
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeTextBuffer(buffer) {
+  const text = buffer.toString('utf8').replace(/^\ufeff/, '');
+  // Binary files decode with NUL bytes or lots of replacement characters
+  const replacementCount = (text.match(/\ufffd/g) || []).length;
+  if (text.includes('\u0000') || replacementCount > text.length * 0.01) {
+    throw new AppError(
+      ERROR_CODES.INVALID_FILE_TYPE,
+      'The file does not contain readable text. Please upload a PDF, DOCX, TXT or Markdown file.',
+      400
+    );
+  }
+  return text;
+}
+
+/**
+ * Detect the real format of an uploaded resume from its leading bytes,
+ * using the file extension only to tell Markdown from plain text.
+ * @param {Object} file - req.file from multer
+ * @returns {string} - "pdf" | "docx" | "markdown" | "text"
+ */
+function detectResumeFormat(file) {
+  const buffer = file.buffer;
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (buffer.slice(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+
+  // DOCX files are ZIP archives containing word/document.xml
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) {
+    if (buffer.includes('word/document.xml')) {
+      return 'docx';
+    }
+    throw new AppError(
+      ERROR_CODES.INVALID_FILE_TYPE,
+      'Unsupported archive. Only Word (.docx) documents are supported.',
+      400
+    );
+  }
+
+  // Legacy binary .doc (OLE compound file)
+  if (buffer.slice(0, 4).toString('hex') === 'd0cf11e0') {
+    throw new AppError(
+      ERROR_CODES.INVALID_FILE_TYPE,
+      'Legacy Word (.doc) files are not supported. Please save the resume as .docx or PDF.',
+      400
+    );
+  }
+
+  const mimetype = (file.mimetype || '').toLowerCase();
+  if (['.md', '.markdown'].includes(extension) || mimetype.includes('markdown')) {
+    return 'markdown';
+  }
+  return 'text';
+}
+
+/**
+ * Extract resume text from an uploaded file (multer memory storage)
+ * @param {Object} file - req.file from multer
+ * @returns {Promise<{text: string, format: string, pages: number|null}>}
+ */
+async function extractResumeText(file) {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw new ValidationError('Uploaded file is empty');
+  }
+
+  const format = detectResumeFormat(file);
+  let text;
+  let pages = null;
+
+  switch (format) {
+    case 'pdf':
+      ({ text, pages } = await extractTextFromPdf(file.buffer));
+      break;
+    case 'docx':
+      ({ text } = await extractTextFromDocx(file.buffer));
+      break;
+    case 'markdown':
+      text = normalizeExtractedText(markdownToText(decodeTextBuffer(file.buffer)));
+      break;
+    default:
+      text = normalizeExtractedText(decodeTextBuffer(file.buffer));
+  }
+
+  if (!text) {
+    throw new ValidationError('No text could be extracted from the uploaded resume.');
+  }
+
+  return { text, format, pages };
+}
+
+module.exports = {
+  extractResumeText,
+  extractTextFromPdf,
+  extractTextFromDocx,
+  detectResumeFormat,
+  normalizeExtractedText
+};
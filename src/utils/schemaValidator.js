@@ -0,0 +1,59 @@
+// src/utils/schemaValidator.js
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Compiled validators are cached per schema object so hot paths don't recompile
+const compiledValidators = new WeakMap();
+
+function getValidator(schema) {
+  let validate = compiledValidators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    compiledValidators.set(schema, validate);
+  }
+  return validate;
+}
+
+/**
+ * Convert Ajv errors into a compact, client-friendly list
+ * @param {Array} errors - Ajv error objects
+ * @param {string} rootPath - Prefix for reported field paths
+ * @returns {Array<{field: string, message: string}>}
+ */
+function formatErrors(errors, rootPath = '') {
+  return (errors || []).map(error => {
+    let field = `${rootPath}${error.instancePath || ''}`.replace(/^\//, '').replace(/\//g, '.');
+    if (error.keyword === 'required' && error.params?.missingProperty) {
+      field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+    }
+    if (error.keyword === 'additionalProperties' && error.params?.additionalProperty) {
+      field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+    }
+    return {
+      field: field || '(root)',
+      message: error.message
+    };
+  });
+}
+
+/**
+ * Validate data against a JSON Schema
+ * @param {Object} schema - JSON Schema object
+ * @param {*} data - Value to validate
+ * @param {string} rootPath - Prefix for reported field paths
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}}
+ */
+function validateAgainstSchema(schema, data, rootPath = '') {
+  const validate = getValidator(schema);
+  const valid = validate(data);
+  return {
+    valid,
+    errors: valid ? [] : formatErrors(validate.errors, rootPath)
+  };
+}
+
+module.exports = {
+  validateAgainstSchema,
+  formatErrors
+};
@@ -0,0 +1,154 @@
+// src/utils/skillExtractor.js
+const { findSkillMentions, findCanonicalSkill, normalizeForMatching } = require('./skillsDatabase');
+
+/**
+ * Offline skill extraction from job descriptions.
+ * Splits the JD into sections by heading, finds skill mentions with the skills database
+ * (multi-word, aliases) and classifies each skill as required, nice-to-have or other
+ * (only mentioned in company/benefits text).
+ */
+
+// Section types recognized from headings, checked in order
+const SECTION_PATTERNS = [
+  { type: 'preferred', pattern: /\b(preferred|nice[\s-]to[\s-]have|bonus|desirable|optional|good to have|pluses|extra credit)\b/i },
+  { type: 'company', pattern: /\b(about (us|the company|the team)|who we are|benefits|perks|why (join|work)|compensation|salary|equal opportunity|our (mission|values|culture)|what we offer)\b/i },
+  { type: 'responsibilities', pattern: /\b(responsibilit|what you('|’)?ll do|what you will do|duties|day[\s-]to[\s-]day|the role|your role|in this role|you will)\b/i },
+  { type: 'required', pattern: /\b(requirements?|required|qualifications?|must[\s-]haves?|what you('|’)?ll (need|bring)|what you (need|bring)|who you are|skills|you have|experience|minimum|basic)\b/i }
+];
+
+// A single line saying a skill is optional ("Kafka is a plus")
+const PREFERRED_LINE_PATTERN = /\b(preferred|nice[\s-]to[\s-]have|bonus|a plus|is a plus|desirable|optional|good to have|familiarity (with|in) .* (a )?plus)\b/i;
+
+// Sections whose mentions make a skill required
+const REQUIRED_SECTION_TYPES = new Set(['general', 'required', 'responsibilities']);
+
+function stripHeadingMarkup(line) {
+  return line
+    .replace(/^#{1,6}\s*/, '')
+    .replace(/^(\*\*|__)(.*)\1:?$/, '$2')
+    .trim();
+}
+
+function classifyHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 60 || /^[•●▪◦*\-–]\s/.test(trimmed)) {
+    return null;
+  }
+
+  const markedUp = /^#{1,6}\s/.test(trimmed) || /^(\*\*|__).*(\*\*|__):?$/.test(trimmed);
+  const text = stripHeadingMarkup(trimmed);
+  // A heading is a short line that is marked up, ends with ":" or has no sentence punctuation
+  if (!markedUp && !/:$/.test(text) && /[.,;!?]/.test(text)) {
+    return null;
+  }
+
+  const match = SECTION_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (match) {
+    return match.type;
+  }
+  return markedUp || /:$/.test(text) ? 'other' : null;
+}
+
+/**
+ * Split a job description into typed sections
+ * @param {string} jobDescription
+ * @returns {Array<{type: string, heading: string|null, lines: string[]}>}
+ */
+function splitJobSections(jobDescription) {
+  const sections = [{ type: 'general', heading: null, lines: [] }];
+  for (const line of String(jobDescription || '').split(/\r?\n/)) {
+    const type = classifyHeading(line);
+    if (type) {
+      sections.push({ type, heading: stripHeadingMarkup(line.trim()).replace(/:$/, ''), lines: [] });
+    } else if (line.trim()) {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+  return sections.filter(section => section.heading !== null || section.lines.length);
+}
+
+/**
+ * Extract skills from a job description
+ * @param {string} jobDescription
+ * @param {Object} [options]
+ * @param {string[]} [options.extraSkills] - Additional skill names to look for (e.g. the candidate's skills)
+ * @returns {{skills: Array<Object>, required: string[], niceToHave: string[], other: string[]}}
+ */
+function extractJobSkills(jobDescription, { extraSkills = [] } = {}) {
+  const found = new Map();
+
+  for (const section of splitJobSections(jobDescription)) {
+    for (const line of section.lines) {
+      // Lines of an "other" section (unrecognized heading) are treated like the general text
+      const type = section.type === 'other' ? 'general' : section.type;
+      const optionalLine = PREFERRED_LINE_PATTERN.test(line);
+
+      for (const mention of findSkillMentions(line, { extraSkills })) {
+        const entry = found.get(mention.skill) || {
+          skill: mention.skill,
+          mentions: 0,
+          sections: new Set(),
+          requiredMention: false,
+          preferredMention: false
+        };
+        entry.mentions += 1;
+        if (section.heading) entry.sections.add(section.heading);
+        if (REQUIRED_SECTION_TYPES.has(type) && !optionalLine) {
+          entry.requiredMention = true;
+        } else if (type !== 'company') {
+          entry.preferredMention = true;
+        }
+        found.set(mention.skill, entry);
+      }
+    }
+  }
+
+  const skills = [...found.values()].map(({ skill, mentions, sections, requiredMention, preferredMention }) => ({
+    skill,
+    category: requiredMention ? 'required' : (preferredMention ? 'niceToHave' : 'other'),
+    mentions,
+    sections: [...sections]
+  }));
+
+  // Required first, then by how often the JD mentions the skill
+  const categoryOrder = { required: 0, niceToHave: 1, other: 2 };
+  skills.sort((a, b) => categoryOrder[a.category] - categoryOrder[b.category] || b.mentions - a.mentions);
+
+  const byCategory = category => skills.filter(item => item.category === category).map(item => item.skill);
+  return {
+    skills,
+    required: byCategory('required'),
+    niceToHave: byCategory('niceToHave'),
+    other: byCategory('other')
+  };
+}
+
+/**
+ * Compare a candidate's skills with the skills extracted from a job description,
+ * in the same shape as the LLM keyword extraction (present_skills / missing_skills)
+ * @param {Object} extraction - Result of extractJobSkills
+ * @param {string[]} candidateSkills
+ * @returns {{present_skills: string[], missing_skills: string[]}}
+ */
+function compareSkills(extraction, candidateSkills) {
+  const owned = new Set(candidateSkills
+    .filter(skill => typeof skill === 'string' && skill.trim())
+    .map(skill => normalizeForMatching(findCanonicalSkill(skill) || skill)));
+
+  const present = [];
+  const missing = [];
+  for (const { skill, category } of extraction.skills) {
+    if (owned.has(normalizeForMatching(skill))) {
+      present.push(skill);
+    } else if (category !== 'other') {
+      missing.push(skill);
+    }
+  }
+  return { present_skills: present, missing_skills: missing };
+}
+
+module.exports = {
+  splitJobSections,
+  extractJobSkills,
+  compareSkills
+};
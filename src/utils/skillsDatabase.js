@@ -0,0 +1,379 @@
+// src/utils/skillsDatabase.js
+const path = require('path');
+const fs = require('fs');
+
+// Load skills database for validation and matching
+let skillsDatabase = null;
+let skillsNormalizedMap = null;
+let skillsByName = null;
+let maxSkillWords = 1;
+
+// "+" and "#" are kept (spelled out) so C, C++ and C# stay distinct
+function normalizeForMatching(skill) {
+  return skill.toLowerCase().trim().replace(/\+/g, 'plus').replace(/#/g, 'sharp').replace(/[^a-z0-9]/g, '');
+}
+
+function loadSkillsDatabaseSync() {
+  if (skillsDatabase && skillsNormalizedMap) {
+    return; // Already loaded
+  }
+
+  try {
+    const textFilePath = path.resolve(__dirname, './skills.txt');
+    const jsonFilePath = path.resolve(__dirname, './skillsDatabase.json');
+
+    let allSkills = [];
+
+    // Categories only exist in the JSON format; use them for text-file skills too when both are present
+    const categoryByNormalized = new Map();
+    let skillsData = null;
+    if (fs.existsSync(jsonFilePath)) {
+      skillsData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
+      for (const [category, skills] of Object.entries(skillsData)) {
+        for (const skill of skills) {
+          const normalized = normalizeForMatching(skill);
+          if (!categoryByNormalized.has(normalized)) {
+            categoryByNormalized.set(normalized, category);
+          }
+        }
+      }
+    }
+
+    // Try text file first (17k skills)
+    if (fs.existsSync(textFilePath)) {
+      const fileContent = fs.readFileSync(textFilePath, 'utf8');
+      const lines = fileContent.split('\n');
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (trimmed && !trimmed.startsWith('#')) {
+          const normalized = normalizeForMatching(trimmed);
+          allSkills.push({
+            name: trimmed,
+            normalized,
+            category: categoryByNormalized.get(normalized) || null
+          });
+        }
+      }
+    } else if (skillsData) {
+      // Fallback to JSON format
+      for (const [category, skills] of Object.entries(skillsData)) {
+        for (const skill of skills) {
+          allSkills.push({
+            name: skill,
+            normalized: normalizeForMatching(skill),
+            category
+          });
+        }
+      }
+    }
+
+    skillsDatabase = allSkills;
+
+    // Create fast O(1) lookup map
+    skillsNormalizedMap = new Map();
+    skillsByName = new Map();
+    maxSkillWords = 1;
+    for (const skill of allSkills) {
+      skillsNormalizedMap.set(skill.normalized, skill.name);
+      skillsByName.set(skill.name, skill);
+      maxSkillWords = Math.max(maxSkillWords, skill.name.split(/\s+/).length);
+    }
+
+    console.log(`[SkillsDB] Loaded ${allSkills.length} skills`);
+  } catch (error) {
+    console.error('[SkillsDB] Error loading skills database:', error);
+    // Continue without validation if database can't be loaded
+    skillsDatabase = [];
+    skillsNormalizedMap = new Map();
+    skillsByName = new Map();
+    maxSkillWords = 1;
+  }
+}
+
+// Alternative spellings mapped to a canonical skill ("ReactJS" -> "React.js")
+const SKILL_ALIASES = require('./skillAliases.json');
+
+let aliasMap = null;
+
+function loadSkillAliasesSync() {
+  if (aliasMap) {
+    return;
+  }
+  loadSkillsDatabaseSync();
+
+  aliasMap = new Map();
+  for (const [canonical, aliases] of Object.entries(SKILL_ALIASES)) {
+    // Prefer the database spelling of the canonical name when it has one
+    const name = skillsNormalizedMap.get(normalizeForMatching(canonical)) || canonical;
+    for (const spelling of [canonical, ...aliases]) {
+      aliasMap.set(normalizeForMatching(spelling), { skill: name, spelling });
+    }
+  }
+}
+
+function lookupNormalized(normalized, extraMap) {
+  const alias = aliasMap.get(normalized);
+  if (alias) return alias;
+  const name = skillsNormalizedMap.get(normalized) || (extraMap && extraMap.get(normalized));
+  return name ? { skill: name, spelling: name } : null;
+}
+
+/**
+ * Look up the canonical name of a skill (resolving aliases)
+ * @param {string} skill
+ * @returns {string|null}
+ */
+function findCanonicalSkill(skill) {
+  loadSkillAliasesSync();
+  const entry = lookupNormalized(normalizeForMatching(skill));
+  return entry ? entry.skill : null;
+}
+
+// Longest n-gram tried when scanning free text for skills
+const MAX_NGRAM_WORDS = 5;
+
+// Common English words that are also skill names; only matched when written exactly as the skill
+const AMBIGUOUS_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'be', 'by', 'can', 'do', 'go', 'in', 'is', 'it', 'of', 'on', 'or', 'to', 'up', 'we', 'all', 'any', 'make', 'less', 'rest', 'dart', 'ant', 'swift', 'rust', 'spark', 'unity', 'chef', 'puppet', 'express', 'ember', 'meteor', 'elm', 'io',
+  'node', 'react', 'rails', 'lambda', 'excel', 'next', 'mongo', 'vue'
+]);
+
+/**
+ * Split text into word tokens, keeping characters that are part of skill names (C++, C#, Node.js, CI/CD)
+ * @param {string} text
+ * @returns {Array<{word: string, index: number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[A-Za-z0-9.][A-Za-z0-9+#./-]*/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    // Sentence punctuation is not part of the word ("Python." / "APIs,")
+    const word = match[0].replace(/[./-]+$/, '');
+    if (word) {
+      tokens.push({ word, index: match.index });
+    }
+  }
+  return tokens;
+}
+
+function isPlausibleMention(phrase, spelling) {
+  const normalized = normalizeForMatching(phrase);
+  // One- and two-letter skills (C, R, Go) and skills that double as common words must match case exactly
+  if (normalized.length <= 2 || AMBIGUOUS_WORDS.has(normalized)) {
+    return phrase === spelling || phrase.replace(/[^A-Za-z0-9+#]/g, '') === spelling.replace(/[^A-Za-z0-9+#]/g, '');
+  }
+  return true;
+}
+
+/**
+ * Find skill mentions in free text using the skills database and alias table.
+ * Multi-word skills are matched greedily (longest first).
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.extraSkills] - Additional skill names to match (e.g. the user's own skills)
+ * @returns {Array<{skill: string, text: string, index: number}>} - Mentions in order of appearance
+ */
+function findSkillMentions(text, { extraSkills = [] } = {}) {
+  loadSkillAliasesSync();
+
+  const extraMap = new Map();
+  let maxWords = Math.min(Math.max(maxSkillWords, 3), MAX_NGRAM_WORDS);
+  for (const skill of extraSkills) {
+    if (!skill || typeof skill !== 'string') continue;
+    const normalized = normalizeForMatching(skill);
+    if (normalized) {
+      extraMap.set(normalized, findCanonicalSkill(skill) || skill.trim());
+      maxWords = Math.min(Math.max(maxWords, skill.trim().split(/\s+/).length), MAX_NGRAM_WORDS);
+    }
+  }
+
+  const source = String(text || '');
+  const tokens = tokenize(source);
+  const mentions = [];
+
+  for (let i = 0; i < tokens.length;) {
+    let matched = 0;
+    for (let n = Math.min(maxWords, tokens.length - i); n >= 1; n--) {
+      const start = tokens[i].index;
+      const last = tokens[i + n - 1];
+      const phrase = source.slice(start, last.index + last.word.length);
+      // Multi-word phrases must not cross line breaks
+      if (n > 1 && /\n/.test(phrase)) continue;
+
+      const entry = lookupNormalized(normalizeForMatching(phrase), extraMap);
+      if (entry && isPlausibleMention(phrase, entry.spelling)) {
+        mentions.push({ skill: entry.skill, text: phrase, index: start });
+        matched = n;
+        break;
+      }
+    }
+    i += matched || 1;
+  }
+
+  return mentions;
+}
+
+/**
+ * Category of a canonical skill name (only known when skillsDatabase.json is present)
+ * @param {string} skill
+ * @returns {string|null}
+ */
+function getSkillCategory(skill) {
+  loadSkillsDatabaseSync();
+  const entry = skillsByName.get(skill) || skillsByName.get(findCanonicalSkill(skill));
+  return entry ? entry.category : null;
+}
+
+/**
+ * List skill categories with the number of skills in each
+ * @returns {Array<{name: string, count: number}>}
+ */
+function listSkillCategories() {
+  loadSkillsDatabaseSync();
+  const counts = new Map();
+  for (const skill of skillsDatabase) {
+    if (skill.category) {
+      counts.set(skill.category, (counts.get(skill.category) || 0) + 1);
+    }
+  }
+  return [...counts.entries()].map(([name, count]) => ({ name, count }));
+}
+
+// Levenshtein distance, giving up once it exceeds maxDistance
+function boundedEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Rank of each match type in search results (lower is better)
+const MATCH_RANK = { exact: 0, alias: 1, prefix: 2, wordPrefix: 3, substring: 4, fuzzy: 5 };
+
+/**
+ * Autocomplete search over the skills database: exact, alias, prefix, word-prefix and substring
+ * matches, then fuzzy matches only if those don't fill the limit
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {string} [options.category] - Only return skills in this category
+ * @returns {Array<{name: string, category: string|null, matchType: string}>}
+ */
+function searchSkills(query, { limit = 10, category = null } = {}) {
+  loadSkillAliasesSync();
+  const normalizedQuery = normalizeForMatching(String(query || ''));
+  if (!normalizedQuery) {
+    return [];
+  }
+
+  const lowerQuery = String(query).trim().toLowerCase();
+  // Typos are only tolerated once the query is long enough to be meaningful
+  const maxDistance = normalizedQuery.length >= 6 ? 2 : (normalizedQuery.length >= 3 ? 1 : 0);
+  const matches = new Map();
+  const addMatch = (name, matchType, distance = 0) => {
+    const existing = matches.get(name);
+    const rank = MATCH_RANK[matchType] + distance;
+    if (!existing || rank < existing.rank) {
+      matches.set(name, { name, matchType, rank });
+    }
+  };
+
+  const alias = aliasMap.get(normalizedQuery);
+  if (alias) {
+    addMatch(alias.skill, normalizeForMatching(alias.skill) === normalizedQuery ? 'exact' : 'alias');
+  }
+
+  const candidates = category ? skillsDatabase.filter(skill => skill.category === category) : skillsDatabase;
+  for (const skill of candidates) {
+    if (skill.normalized === normalizedQuery) {
+      addMatch(skill.name, 'exact');
+    } else if (skill.normalized.startsWith(normalizedQuery)) {
+      addMatch(skill.name, 'prefix');
+    } else if (skill.name.toLowerCase().split(/[\s/-]+/).some(word => word.startsWith(lowerQuery))) {
+      addMatch(skill.name, 'wordPrefix');
+    } else if (skill.normalized.includes(normalizedQuery)) {
+      addMatch(skill.name, 'substring');
+    }
+  }
+
+  // Edit distance over the whole database is the slow path; only run it when the cheap matches fall short
+  const found = [...matches.keys()].filter(name => !category || getSkillCategory(name) === category).length;
+  if (maxDistance > 0 && found < limit) {
+    for (const skill of candidates) {
+      if (matches.has(skill.name)) continue;
+      // Typos anywhere in a full name, or in the part typed so far
+      const distance = Math.min(
+        boundedEditDistance(normalizedQuery, skill.normalized, maxDistance),
+        boundedEditDistance(normalizedQuery, skill.normalized.slice(0, normalizedQuery.length), maxDistance)
+      );
+      if (distance <= maxDistance) {
+        addMatch(skill.name, 'fuzzy', distance);
+      }
+    }
+  }
+
+  return [...matches.values()]
+    .filter(match => !category || getSkillCategory(match.name) === category)
+    .sort((a, b) => a.rank - b.rank || a.name.length - b.name.length || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ name, matchType }) => ({ name, category: getSkillCategory(name), matchType }));
+}
+
+/**
+ * Group skills under their database category headings, in the skillsLineTime shape.
+ * Skills without a known category are collected under `otherHeading`.
+ * @param {string[]} skills
+ * @param {Object} [options]
+ * @param {string} [options.otherHeading='Other']
+ * @returns {Array<{heading: string, skills: string[]}>}
+ */
+function groupSkillsByCategory(skills, { otherHeading = 'Other' } = {}) {
+  const groups = new Map();
+  const other = [];
+  for (const skill of skills || []) {
+    if (!skill || typeof skill !== 'string') continue;
+    const category = getSkillCategory(skill);
+    if (category) {
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(skill);
+    } else {
+      other.push(skill);
+    }
+  }
+
+  // Largest categories first so the most relevant lines lead
+  const result = [...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+    .map(([heading, groupSkills]) => ({ heading, skills: groupSkills }));
+  if (other.length) {
+    result.push({ heading: otherHeading, skills: other });
+  }
+  return result;
+}
+
+module.exports = {
+  normalizeForMatching,
+  loadSkillsDatabaseSync,
+  findCanonicalSkill,
+  getSkillCategory,
+  listSkillCategories,
+  searchSkills,
+  groupSkillsByCategory,
+  tokenize,
+  findSkillMentions
+};
@@ -0,0 +1,108 @@
+// src/utils/structuredOutput.js
+const { generateContentWithFallback } = require('./llmClient');
+const { validateAgainstSchema } = require('./schemaValidator');
+const { AppError, ERROR_CODES } = require('./errors');
+
+/**
+ * JSON responses from the LLM, validated against a JSON Schema (src/schemas/*.json).
+ * A response that isn't valid JSON or doesn't match the schema gets one repair re-prompt
+ * listing the validation errors; if that fails too the call ends in AI_INVALID_RESPONSE.
+ */
+
+// Errors listed in the repair prompt; the rest are summarized
+const MAX_REPAIR_ERRORS = 20;
+
+/**
+ * Parse the JSON object in a model response: a ```json block, the whole text, or the
+ * outermost {...} in the text
+ * @param {string} text
+ * @returns {*} Parsed value, or undefined if no JSON could be parsed
+ */
+function parseJsonResponse(text) {
+  const input = String(text || '');
+  const candidates = [];
+
+  const codeBlock = input.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (codeBlock) candidates.push(codeBlock[1]);
+  candidates.push(input);
+  const objectMatch = input.match(/\{[\s\S]*\}/);
+  if (objectMatch) candidates.push(objectMatch[0]);
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (err) {
+      // Try the next candidate
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Prompt section describing the expected response format
+ * @param {Object} schema - JSON Schema
+ * @returns {string}
+ */
+function describeSchema(schema) {
+  return `Return only a JSON object that matches this JSON Schema:\n${JSON.stringify(schema, null, 2)}`;
+}
+
+function checkResponse(text, schema) {
+  const data = parseJsonResponse(text);
+  if (data === undefined) {
+    return { valid: false, data, errors: [{ field: '(root)', message: 'response is not valid JSON' }] };
+  }
+  return { ...validateAgainstSchema(schema, data), data };
+}
+
+function buildRepairPrompt(prompt, schema, text, errors) {
+  const listed = errors.slice(0, MAX_REPAIR_ERRORS).map(({ field, message }) => `- ${field}: ${message}`);
+  if (errors.length > MAX_REPAIR_ERRORS) {
+    listed.push(`- ...and ${errors.length - MAX_REPAIR_ERRORS} more`);
+  }
+  return `${prompt}\n\nYour previous response was:\n${text}\n\nIt does not match the required format:\n${listed.join('\n')}\n\nFix these errors and keep the rest of the content. ${describeSchema(schema)}`;
+}
+
+/**
+ * Generate a JSON response and validate it against a schema, with one repair attempt
+ * @param {string} prompt - Full prompt, including the response format (see describeSchema)
+ * @param {string} controllerName - Name of the controller for logging and model routing (llms.json)
+ * @param {Object} schema - JSON Schema the response must match
+ * @param {Object} [options]
+ * @param {Array} [options.llmCalls] - Request's LLM call list (req.llmCalls) for token accounting
+ * @returns {Promise<{result: *, response: Object, repaired: boolean}>}
+ */
+async function generateStructuredContent(prompt, controllerName, schema, { llmCalls = null } = {}) {
+  const response = await generateContentWithFallback(prompt, controllerName, { llmCalls });
+  const text = response.text();
+  const check = checkResponse(text, schema);
+  if (check.valid) {
+    return { result: check.data, response, repaired: false };
+  }
+
+  console.warn(`[${controllerName}] Model response failed schema validation, requesting a repair:`, check.errors);
+  const repairResponse = await generateContentWithFallback(
+    buildRepairPrompt(prompt, schema, text, check.errors),
+    controllerName,
+    { llmCalls }
+  );
+  const repairCheck = checkResponse(repairResponse.text(), schema);
+  if (repairCheck.valid) {
+    console.log(`[${controllerName}] Repaired model response passed schema validation`);
+    return { result: repairCheck.data, response: repairResponse, repaired: true };
+  }
+
+  console.error(`[${controllerName}] Repaired model response still failed schema validation:`, repairCheck.errors);
+  throw new AppError(
+    ERROR_CODES.AI_INVALID_RESPONSE,
+    'The AI service returned a response in an unexpected format. Please try again.',
+    502,
+    { errors: repairCheck.errors }
+  );
+}
+
+module.exports = {
+  parseJsonResponse,
+  describeSchema,
+  generateStructuredContent
+};
@@ -0,0 +1,210 @@
+// src/utils/timezone.js
+
+/**
+ * Calendar helpers for user timezones (IANA names such as "Asia/Kolkata").
+ * Day and month boundaries are computed with Intl, so DST changes are handled without extra dependencies.
+ */
+
+// Used when neither the user's profile nor the request specifies a timezone
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const TIMEZONE_HEADER = 'x-timezone';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} True for IANA timezone names Intl understands
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+}
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+function getOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// Instant of local midnight on the given calendar date (month is 1-based and may overflow)
+function zonedMidnight(year, month, day, timeZone) {
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  let instant = utcMidnight - getOffsetMs(new Date(utcMidnight), timeZone);
+  // Re-check once: the offset at midnight can differ from the guess around DST changes
+  instant = utcMidnight - getOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Local calendar day containing `date`
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{start: Date, end: Date}}
+ */
+function getZonedDayWindow(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return {
+    start: zonedMidnight(year, month, day, timeZone),
+    end: zonedMidnight(year, month, day + 1, timeZone)
+  };
+}
+
+/**
+ * Local calendar month containing `date`
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{start: Date, end: Date}}
+ */
+function getZonedMonthWindow(date, timeZone) {
+  const { year, month } = getZonedParts(date, timeZone);
+  return {
+    start: zonedMidnight(year, month, 1, timeZone),
+    end: zonedMidnight(year, month + 1, 1, timeZone)
+  };
+}
+
+/**
+ * Local calendar date of an instant as YYYY-MM-DD
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatDateKey(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * @param {string} value
+ * @returns {boolean} True for calendar dates written as YYYY-MM-DD
+ */
+function isDateKey(value) {
+  const match = typeof value === 'string' && DATE_KEY_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Local calendar day for a YYYY-MM-DD date
+ * @param {string} dateKey
+ * @param {string} timeZone
+ * @returns {{start: Date, end: Date}}
+ */
+function getDateKeyWindow(dateKey, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return {
+    start: zonedMidnight(year, month, day, timeZone),
+    end: zonedMidnight(year, month, day + 1, timeZone)
+  };
+}
+
+/**
+ * Calendar arithmetic on YYYY-MM-DD dates (timezone independent)
+ * @param {string} dateKey
+ * @param {number} days
+ * @returns {string}
+ */
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the ISO week containing a YYYY-MM-DD date
+ * @param {string} dateKey
+ * @returns {string}
+ */
+function getWeekStartKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return shiftDateKey(dateKey, -((weekday + 6) % 7));
+}
+
+/**
+ * Timezone for displaying a request's stats (daily goal, reports): the user's saved profile
+ * timezone, else the X-Timezone header, else the default.
+ * Not for quota windows; the header is client-controlled (see resolveQuotaTimeZone).
+ * @param {Object} req - Express request (req.user optional)
+ * @param {Object} [user] - User row, defaults to req.user
+ * @returns {string}
+ */
+function resolveTimeZone(req, user = req.user) {
+  if (user && isValidTimeZone(user.timezone)) {
+    return user.timezone;
+  }
+  const headerValue = req.headers?.[TIMEZONE_HEADER];
+  if (isValidTimeZone(headerValue)) {
+    return headerValue.trim();
+  }
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Timezone of a user's quota windows: the saved profile timezone, else the default.
+ * Never taken from the request, so usage counters can't be multiplied by switching zones.
+ * @param {Object} user - User row
+ * @returns {string}
+ */
+function resolveQuotaTimeZone(user) {
+  return user && isValidTimeZone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedDayWindow,
+  getZonedMonthWindow,
+  formatDateKey,
+  isDateKey,
+  getDateKeyWindow,
+  shiftDateKey,
+  getWeekStartKey,
+  resolveTimeZone,
+  resolveQuotaTimeZone
+};
@@ -0,0 +1,129 @@
+// src/utils/tokenUsage.js
+const prisma = require('./prismaClient');
+const PRICING = require('./llmPricing.json');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+/**
+ * Token accounting over LlmUsage rows, summed in the database per model.
+ * Costs are estimated from llmPricing.json at report time, so price changes apply to past usage too.
+ */
+
+/**
+ * Estimated cost of LLM calls to one model
+ * @param {Object} usage - LlmUsage row, or token sums over rows of one model (model, promptTokens, candidatesTokens, totalTokens)
+ * @returns {number} Cost in PRICING.currency; 0 for models without a price
+ */
+function estimateCost(usage) {
+  const price = PRICING.models[usage.model];
+  if (!price) {
+    return 0;
+  }
+  const inputTokens = usage.promptTokens || 0;
+  // Thinking tokens are billed as output but are only included in totalTokens
+  const outputTokens = usage.totalTokens != null
+    ? Math.max(0, usage.totalTokens - inputTokens)
+    : (usage.candidatesTokens || 0);
+  return (inputTokens * price.inputPerMillion + outputTokens * price.outputPerMillion) / 1e6;
+}
+
+function emptyBucket() {
+  return { calls: 0, failedCalls: 0, promptTokens: 0, candidatesTokens: 0, totalTokens: 0, estimatedCost: 0 };
+}
+
+function addToBucket(bucket, usage, cost) {
+  bucket.calls += usage.calls;
+  bucket.failedCalls += usage.failedCalls;
+  bucket.promptTokens += usage.promptTokens || 0;
+  bucket.candidatesTokens += usage.candidatesTokens || 0;
+  bucket.totalTokens += usage.totalTokens || 0;
+  bucket.estimatedCost += cost;
+}
+
+function roundCost(bucket) {
+  return { ...bucket, estimatedCost: Number(bucket.estimatedCost.toFixed(6)) };
+}
+
+// Calls and token sums per service and model
+async function sumByServiceAndModel(userId, range) {
+  const groups = await prisma.llmUsage.groupBy({
+    by: ['service', 'model', 'success'],
+    where: { userId, createdAt: { gte: range.start, lt: range.end } },
+    _count: { _all: true },
+    _sum: { promptTokens: true, candidatesTokens: true, totalTokens: true }
+  });
+  return groups.map(group => ({
+    service: group.service,
+    model: group.model,
+    calls: group._count._all,
+    failedCalls: group.success ? 0 : group._count._all,
+    ...group._sum
+  }));
+}
+
+// Calls and token sums per local day (YYYY-MM-DD in timeZone) and model.
+// createdAt is stored as UTC without a zone, hence the double AT TIME ZONE.
+async function sumByDayAndModel(userId, range, timeZone) {
+  return prisma.$queryRaw`
+    SELECT
+      to_char(("createdAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}, 'YYYY-MM-DD') AS "day",
+      "model",
+      COUNT(*)::int AS "calls",
+      COUNT(*) FILTER (WHERE NOT "success")::int AS "failedCalls",
+      SUM("promptTokens")::float8 AS "promptTokens",
+      SUM("candidatesTokens")::float8 AS "candidatesTokens",
+      SUM("totalTokens")::float8 AS "totalTokens"
+    FROM "LlmUsage"
+    WHERE "userId" = ${userId}
+      AND "createdAt" >= ${range.start}
+      AND "createdAt" < ${range.end}
+    GROUP BY 1, 2
+    ORDER BY 1`;
+}
+
+/**
+ * Token usage and estimated cost for a user, by day and by service
+ * @param {string} userId
+ * @param {{start: Date, end: Date}} range
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone used to group calls into days
+ * @returns {Promise<Object>}
+ */
+async function getTokenUsageReport(userId, range, { timeZone = DEFAULT_TIMEZONE } = {}) {
+  const [serviceRows, dayRows] = await Promise.all([
+    sumByServiceAndModel(userId, range),
+    sumByDayAndModel(userId, range, timeZone)
+  ]);
+
+  const totals = emptyBucket();
+  const byDay = new Map();
+  const byService = new Map();
+
+  for (const row of serviceRows) {
+    const cost = estimateCost(row);
+    if (!byService.has(row.service)) byService.set(row.service, emptyBucket());
+    addToBucket(totals, row, cost);
+    addToBucket(byService.get(row.service), row, cost);
+  }
+
+  for (const row of dayRows) {
+    if (!byDay.has(row.day)) byDay.set(row.day, emptyBucket());
+    addToBucket(byDay.get(row.day), row, estimateCost(row));
+  }
+
+  return {
+    from: range.start,
+    to: range.end,
+    timeZone,
+    currency: PRICING.currency,
+    totals: roundCost(totals),
+    byDay: [...byDay.entries()].map(([date, bucket]) => ({ date, ...roundCost(bucket) })),
+    byService: [...byService.entries()]
+      .map(([service, bucket]) => ({ service, ...roundCost(bucket) }))
+      .sort((a, b) => b.totalTokens - a.totalTokens)
+  };
+}
+
+module.exports = {
+  estimateCost,
+  getTokenUsageReport
+};
@@ -0,0 +1,132 @@
+// src/utils/usageHistory.js
+const { Prisma } = require('../../generated/prisma');
+const prisma = require('./prismaClient');
+const { formatDateKey, shiftDateKey, getWeekStartKey } = require('./timezone');
+
+/**
+ * Request history from the audit log, bucketed by day, ISO week (Monday start) or service.
+ * Services are the AuditLog service names assigned by the audit log middleware (CHAT, COVER_LETTER, ...).
+ * Requests are aggregated in the database per day and service; weeks and totals are summed from those rows.
+ */
+
+const HISTORY_GROUP_BY = ['day', 'week', 'service'];
+
+function emptyStats() {
+  return { calls: 0, errors: 0, serverErrors: 0, totalResponseTime: 0 };
+}
+
+function addToStats(stats, row) {
+  stats.calls += row.calls;
+  stats.errors += row.errors;
+  stats.serverErrors += row.serverErrors;
+  stats.totalResponseTime += row.totalResponseTime;
+}
+
+function formatStats({ calls, errors, serverErrors, totalResponseTime }) {
+  return {
+    calls,
+    errors,
+    serverErrors,
+    errorRate: calls ? Number((errors / calls).toFixed(4)) : 0,
+    avgResponseTime: calls ? Math.round(totalResponseTime / calls) : null
+  };
+}
+
+// Request counts per local day (YYYY-MM-DD in timeZone) and service.
+// createdAt is stored as UTC without a zone, hence the double AT TIME ZONE.
+async function aggregateByDayAndService(userId, range, timeZone, services) {
+  return prisma.$queryRaw`
+    SELECT
+      to_char(("createdAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}, 'YYYY-MM-DD') AS "day",
+      "service",
+      COUNT(*)::int AS "calls",
+      COUNT(*) FILTER (WHERE "statusCode" >= 400)::int AS "errors",
+      COUNT(*) FILTER (WHERE "statusCode" >= 500)::int AS "serverErrors",
+      COALESCE(SUM("responseTime"), 0)::float8 AS "totalResponseTime"
+    FROM "AuditLog"
+    WHERE "userId" = ${userId}
+      AND "createdAt" >= ${range.start}
+      AND "createdAt" < ${range.end}
+      AND "deletedAt" IS NULL
+      ${services ? Prisma.sql`AND "service" IN (${Prisma.join(services)})` : Prisma.empty}
+    GROUP BY 1, 2`;
+}
+
+// Every bucket key between two dates, so charts get a continuous series with zeroes
+function listPeriodKeys(range, groupBy, timeZone) {
+  const toPeriod = key => (groupBy === 'week' ? getWeekStartKey(key) : key);
+  const step = groupBy === 'week' ? 7 : 1;
+  const last = toPeriod(formatDateKey(new Date(range.end.getTime() - 1), timeZone));
+  const keys = [];
+  for (let key = toPeriod(formatDateKey(range.start, timeZone)); key <= last; key = shiftDateKey(key, step)) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Usage history for a user
+ * @param {string} userId
+ * @param {{start: Date, end: Date}} range
+ * @param {Object} options
+ * @param {string} options.groupBy - day | week | service
+ * @param {string} options.timeZone - Timezone used for day and week boundaries
+ * @param {string[]|null} [options.services] - Only include these services
+ * @returns {Promise<Object>}
+ */
+async function getUsageHistoryReport(userId, range, { groupBy, timeZone, services = null }) {
+  const rows = await aggregateByDayAndService(userId, range, timeZone, services);
+
+  const totals = emptyStats();
+  const byService = new Map();
+  const byPeriod = new Map();
+  if (groupBy !== 'service') {
+    for (const key of listPeriodKeys(range, groupBy, timeZone)) {
+      byPeriod.set(key, { stats: emptyStats(), services: new Map() });
+    }
+  }
+
+  for (const row of rows) {
+    addToStats(totals, row);
+    if (!byService.has(row.service)) byService.set(row.service, emptyStats());
+    addToStats(byService.get(row.service), row);
+
+    if (groupBy !== 'service') {
+      const bucket = byPeriod.get(groupBy === 'week' ? getWeekStartKey(row.day) : row.day);
+      if (!bucket) continue;
+      addToStats(bucket.stats, row);
+      if (!bucket.services.has(row.service)) bucket.services.set(row.service, emptyStats());
+      addToStats(bucket.services.get(row.service), row);
+    }
+  }
+
+  const formatServices = map => [...map.entries()]
+    .map(([service, stats]) => ({ service, ...formatStats(stats) }))
+    .sort((a, b) => b.calls - a.calls);
+
+  const history = {
+    from: range.start,
+    to: range.end,
+    timeZone,
+    groupBy,
+    totals: formatStats(totals)
+  };
+
+  if (groupBy === 'service') {
+    history.buckets = formatServices(byService);
+  } else {
+    history.services = [...byService.keys()].sort();
+    history.buckets = [...byPeriod.entries()].map(([period, bucket]) => ({
+      period,
+      ...formatStats(bucket.stats),
+      services: formatServices(bucket.services)
+    }));
+  }
+
+  return history;
+}
+
+module.exports = {
+  HISTORY_GROUP_BY,
+  getUsageHistoryReport
+};
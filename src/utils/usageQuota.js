@@ -0,0 +1,268 @@
+// src/utils/usageQuota.js
+const prisma = require('./prismaClient');
+const QUOTA_CONFIG = require('./quotaPlans.json');
+const { DEFAULT_TIMEZONE, getZonedDayWindow, getZonedMonthWindow } = require('./timezone');
+
+/**
+ * AI quota bookkeeping.
+ * Each user is on a plan (quotaPlans.json) with daily and monthly limits in cost units; every
+ * Gemini-backed service has a cost weight. Usage is tracked in UsageCounter rows (one per user
+ * and window) that are incremented atomically, so checking the quota never scans AuditLog.
+ * A counter is seeded once from AuditLog when it is first created. Once the plan limits are
+ * used up, calls draw from temporary bonus credits granted by an admin (QuotaCredit).
+ * Days and months follow the user's saved timezone (see resolveQuotaTimeZone).
+ */
+
+// AuditLog services that consume AI quota (see extractServiceName in auditLog middleware)
+const AI_SERVICES = Object.keys(QUOTA_CONFIG.serviceCosts);
+
+const PERIODS = {
+  day: 'day',
+  month: 'month'
+};
+
+/**
+ * Plan definition by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getPlan(name) {
+  // Own keys only: names like "constructor" must not resolve through the prototype chain
+  const plan = typeof name === 'string' && Object.hasOwn(QUOTA_CONFIG.plans, name) ? QUOTA_CONFIG.plans[name] : null;
+  return plan ? { name, mentorAssignable: false, ...plan } : null;
+}
+
+function listPlans() {
+  return Object.keys(QUOTA_CONFIG.plans).map(getPlan);
+}
+
+/**
+ * Plan currently in effect for a user; expired plans fall back to the default plan
+ * @param {Object} user - User row (plan, planExpiresAt)
+ * @returns {Object}
+ */
+function resolveUserPlan(user) {
+  const expired = user?.planExpiresAt && new Date(user.planExpiresAt) <= new Date();
+  return (!expired && getPlan(user?.plan)) || getPlan(QUOTA_CONFIG.defaultPlan);
+}
+
+/**
+ * Quota units charged for one call to a service
+ * @param {string} service - AuditLog service name (e.g. UPLOAD_RESUME)
+ * @returns {number}
+ */
+function getServiceCost(service) {
+  return QUOTA_CONFIG.serviceCosts[service] ?? QUOTA_CONFIG.defaultCost;
+}
+
+/**
+ * Usage window containing `date`
+ * @param {Date} [date]
+ * @param {string} [timeZone] - IANA timezone, defaults to DEFAULT_TIMEZONE
+ * @returns {{start: Date, end: Date}}
+ */
+function getDayWindow(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return getZonedDayWindow(date, timeZone);
+}
+
+/**
+ * Calendar month containing `date`
+ * @param {Date} [date]
+ * @param {string} [timeZone] - IANA timezone, defaults to DEFAULT_TIMEZONE
+ * @returns {{start: Date, end: Date}}
+ */
+function getMonthWindow(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return getZonedMonthWindow(date, timeZone);
+}
+
+function counterKey(userId, period, periodStart) {
+  return {
+    userId_period_periodStart: { userId, period, periodStart }
+  };
+}
+
+// Cost units of successful AI calls already recorded in the audit log for this window
+async function countAuditedUsage(userId, window) {
+  const rows = await prisma.auditLog.groupBy({
+    by: ['service'],
+    where: {
+      userId,
+      service: { in: AI_SERVICES },
+      statusCode: { lt: 400 },
+      createdAt: { gte: window.start, lt: window.end },
+      deletedAt: null
+    },
+    _count: { _all: true }
+  });
+  return rows.reduce((sum, row) => sum + row._count._all * getServiceCost(row.service), 0);
+}
+
+async function getOrCreateCounter(userId, period, window) {
+  const where = counterKey(userId, period, window.start);
+  const existing = await prisma.usageCounter.findUnique({ where });
+  if (existing) {
+    return existing;
+  }
+
+  const seeded = await countAuditedUsage(userId, window);
+  // upsert: a concurrent request may have created the counter in the meantime
+  return prisma.usageCounter.upsert({
+    where,
+    create: { userId, period, periodStart: window.start, used: seeded },
+    update: {}
+  });
+}
+
+async function getBonusCreditsRemaining(userId) {
+  const result = await prisma.quotaCredit.aggregate({
+    where: { userId, deletedAt: null, expiresAt: { gt: new Date() }, remaining: { gt: 0 } },
+    _sum: { remaining: true }
+  });
+  return result._sum.remaining || 0;
+}
+
+function buildStatus(plan, dayUsed, monthUsed, bonusCredits, day, month, timeZone) {
+  const daily = {
+    used: dayUsed,
+    limit: plan.dailyLimit,
+    remaining: Math.max(0, plan.dailyLimit - dayUsed),
+    resetAt: day.end
+  };
+  const monthly = {
+    used: monthUsed,
+    limit: plan.monthlyLimit,
+    remaining: Math.max(0, plan.monthlyLimit - monthUsed),
+    resetAt: month.end
+  };
+  const planRemaining = Math.min(daily.remaining, monthly.remaining);
+  return {
+    plan: { name: plan.name, label: plan.label },
+    timeZone,
+    daily,
+    monthly,
+    bonusCredits,
+    remaining: planRemaining + bonusCredits,
+    exceeded: planRemaining === 0 && bonusCredits === 0,
+    // When the plan allowance frees up again: next month if the monthly limit is used up, else tomorrow
+    resetAt: monthly.remaining === 0 ? month.end : day.end
+  };
+}
+
+/**
+ * Current quota status for a user
+ * @param {Object} user - User row
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone of the usage windows (see resolveQuotaTimeZone)
+ * @returns {Promise<Object>}
+ */
+async function getQuotaStatus(user, { timeZone = DEFAULT_TIMEZONE } = {}) {
+  const plan = resolveUserPlan(user);
+  const now = new Date();
+  const day = getDayWindow(now, timeZone);
+  const month = getMonthWindow(now, timeZone);
+  const [dayCounter, monthCounter, bonusCredits] = await Promise.all([
+    getOrCreateCounter(user.id, PERIODS.day, day),
+    getOrCreateCounter(user.id, PERIODS.month, month),
+    getBonusCreditsRemaining(user.id)
+  ]);
+  return buildStatus(plan, dayCounter.used, monthCounter.used, bonusCredits, day, month, timeZone);
+}
+
+function incrementCounters(userId, day, month, amount) {
+  return prisma.$transaction([
+    prisma.usageCounter.update({
+      where: counterKey(userId, PERIODS.day, day.start),
+      data: { used: { increment: amount } }
+    }),
+    prisma.usageCounter.update({
+      where: counterKey(userId, PERIODS.month, month.start),
+      data: { used: { increment: amount } }
+    })
+  ]);
+}
+
+// Take `cost` units from the bonus credit that expires first
+async function consumeBonusCredit(userId, cost) {
+  const credit = await prisma.quotaCredit.findFirst({
+    where: { userId, deletedAt: null, expiresAt: { gt: new Date() }, remaining: { gte: cost } },
+    orderBy: { expiresAt: 'asc' }
+  });
+  if (!credit) {
+    return null;
+  }
+  // Conditional update so concurrent calls can't overdraw the same credit
+  const { count } = await prisma.quotaCredit.updateMany({
+    where: { id: credit.id, remaining: { gte: cost } },
+    data: { remaining: { decrement: cost } }
+  });
+  return count === 1 ? credit.id : null;
+}
+
+/**
+ * Reserve quota for one AI call. Plan allowance is used first, then bonus credits.
+ * @param {Object} user - User row
+ * @param {string} service - AuditLog service name, used for the cost weight
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone of the usage windows (see resolveQuotaTimeZone)
+ * @returns {Promise<{allowed: boolean, status: Object, reservation: Object|null}>}
+ */
+async function consumeQuota(user, service, { timeZone = DEFAULT_TIMEZONE } = {}) {
+  const plan = resolveUserPlan(user);
+  const cost = getServiceCost(service);
+  const now = new Date();
+  const day = getDayWindow(now, timeZone);
+  const month = getMonthWindow(now, timeZone);
+  await Promise.all([
+    getOrCreateCounter(user.id, PERIODS.day, day),
+    getOrCreateCounter(user.id, PERIODS.month, month)
+  ]);
+
+  let [dayCounter, monthCounter] = await incrementCounters(user.id, day, month, cost);
+  let reservation = { userId: user.id, cost, source: 'plan', day, month };
+
+  if (dayCounter.used > plan.dailyLimit || monthCounter.used > plan.monthlyLimit) {
+    // Over the plan allowance: undo the reservation and fall back to bonus credits
+    [dayCounter, monthCounter] = await incrementCounters(user.id, day, month, -cost);
+    const creditId = await consumeBonusCredit(user.id, cost);
+    reservation = creditId ? { userId: user.id, cost, source: 'credit', creditId } : null;
+  }
+
+  const bonusCredits = await getBonusCreditsRemaining(user.id);
+  return {
+    allowed: !!reservation,
+    status: { ...buildStatus(plan, dayCounter.used, monthCounter.used, bonusCredits, day, month, timeZone), cost },
+    reservation
+  };
+}
+
+/**
+ * Give back quota reserved by consumeQuota (e.g. when the call failed)
+ * @param {Object} reservation - reservation returned by consumeQuota
+ */
+async function refundQuota(reservation) {
+  try {
+    if (reservation.source === 'credit') {
+      await prisma.quotaCredit.update({
+        where: { id: reservation.creditId },
+        data: { remaining: { increment: reservation.cost } }
+      });
+    } else {
+      await incrementCounters(reservation.userId, reservation.day, reservation.month, -reservation.cost);
+    }
+  } catch (error) {
+    console.error('[QUOTA] Failed to refund quota:', { userId: reservation.userId, message: error.message });
+  }
+}
+
+module.exports = {
+  AI_SERVICES,
+  getPlan,
+  listPlans,
+  resolveUserPlan,
+  getServiceCost,
+  getDayWindow,
+  getMonthWindow,
+  getQuotaStatus,
+  consumeQuota,
+  refundQuota
+};
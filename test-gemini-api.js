@@ -1,7 +1,7 @@
 // Simple test script to verify Gemini API is working
 require('dotenv').config();
 const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { gemini_flash } = require('./src/utils/llms.json');
+const { providers: { gemini: { defaultModel: gemini_flash } } } = require('./src/utils/llms.json');
 
 async function testGeminiAPI() {
   console.log('🧪 Testing Gemini API Connection...\n');